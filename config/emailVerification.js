@@ -0,0 +1,17 @@
+// config/emailVerification.js
+
+// EMAIL_VERIFICATION_POLICY controls what an unverified local account may do:
+//   allow        - full access, verification is only encouraged (default)
+//   support-only - may log in, but only to manage their profile and file support requests
+//   block-login  - may not log in until the address is verified
+const POLICIES = ['allow', 'support-only', 'block-login'];
+
+const policy = POLICIES.includes(process.env.EMAIL_VERIFICATION_POLICY)
+  ? process.env.EMAIL_VERIFICATION_POLICY
+  : 'allow';
+
+module.exports = {
+  POLICIES,
+  policy,
+  tokenTtlHours: parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS, 10) || 48
+};
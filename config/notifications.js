@@ -0,0 +1,29 @@
+// config/notifications.js
+const fs = require('fs');
+const path = require('path');
+
+const TEMPLATE_DIR = path.join(__dirname, '..', 'templates', 'notifications');
+
+// Preference key (on User.notificationPreferences) for each event users can opt out of
+const NOTIFICATION_PREFERENCES = {
+  created: 'ticket.created',
+  statusChanged: 'ticket.status_changed',
+  replied: 'ticket.replied',
+  resolved: 'ticket.resolved'
+};
+
+// One JSON file per locale; adding a translation is adding a file
+const SUPPORTED_LOCALES = fs.readdirSync(TEMPLATE_DIR)
+  .filter(file => file.endsWith('.json'))
+  .map(file => path.basename(file, '.json'));
+
+module.exports = {
+  TEMPLATE_DIR,
+  NOTIFICATION_PREFERENCES,
+  SUPPORTED_LOCALES,
+  DEFAULT_LOCALE: process.env.DEFAULT_LOCALE || 'en',
+  // Delivery worker: polling interval, attempts before giving up, first retry delay (doubles each time)
+  pollIntervalMs: parseInt(process.env.NOTIFICATION_POLL_MS, 10) || 5000,
+  maxAttempts: parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS, 10) || 5,
+  retryBaseMs: parseInt(process.env.NOTIFICATION_RETRY_BASE_MS, 10) || 60 * 1000
+};
@@ -0,0 +1,33 @@
+// config/oidcProviders.js
+
+// Generic OpenID Connect providers, configured with OIDC_PROVIDERS as JSON, e.g.
+//   {"microsoft": {"issuer": "https://login.microsoftonline.com/<tenant>/v2.0",
+//                  "clientId": "...", "clientSecret": "...", "label": "Microsoft"}}
+// Any provider that publishes /.well-known/openid-configuration works. Google keeps
+// using GOOGLE_CLIENT_ID and google-auth-library.
+const parseProviders = () => {
+  if (!process.env.OIDC_PROVIDERS) {
+    return {};
+  }
+  try {
+    return JSON.parse(process.env.OIDC_PROVIDERS);
+  } catch (error) {
+    console.error('❌ Invalid OIDC_PROVIDERS configuration:', error.message);
+    return {};
+  }
+};
+
+const providers = {};
+Object.entries(parseProviders()).forEach(([name, config]) => {
+  if (!config.issuer || !config.clientId) {
+    console.error(`❌ OIDC provider "${name}" needs an issuer and a clientId`);
+    return;
+  }
+  providers[name.toLowerCase()] = {
+    label: config.label || name,
+    scope: config.scope || 'openid email profile',
+    ...config
+  };
+});
+
+module.exports = providers;
@@ -0,0 +1,65 @@
+// config/permissions.js
+
+// Roles from least to most privileged; each role inherits the permissions of the ones before it
+const ROLES = ['user', 'agent', 'supervisor', 'admin'];
+
+const ROLE_PERMISSIONS = {
+  user: [
+    'ticket:create',
+    'ticket:read:own',
+    // Post to a ticket's thread (which can also reopen it); separate so read-only API keys can't
+    'ticket:reply'
+  ],
+  agent: [
+    'ticket:read:any',
+    'ticket:update',
+    'ticket:assign',
+    'ticket:merge'
+  ],
+  supervisor: [
+    'ticket:delete',
+    'ticket:reopen',
+    'queue:manage',
+    'sla:manage',
+    'report:read',
+    'canned:manage'
+  ],
+  admin: [
+    'user:manage',
+    'audit:read',
+    'webhook:manage',
+    'category:manage'
+  ]
+};
+
+// Resolve inheritance once at startup
+const permissionsByRole = {};
+ROLES.reduce((inherited, role) => {
+  permissionsByRole[role] = new Set([...inherited, ...ROLE_PERMISSIONS[role]]);
+  return permissionsByRole[role];
+}, new Set());
+
+const PERMISSIONS = [...permissionsByRole.admin];
+
+const hasPermission = (role, permission) => {
+  const permissions = permissionsByRole[role];
+  return Boolean(permissions && permissions.has(permission));
+};
+
+// Check a request user: API keys are limited to their scopes on top of the owner's role
+const can = (user, permission) => {
+  if (!user || !hasPermission(user.role, permission)) {
+    return false;
+  }
+  return !user.scopes || user.scopes.includes(permission);
+};
+
+const getPermissions = (role) => [...(permissionsByRole[role] || [])];
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  hasPermission,
+  can,
+  getPermissions
+};
@@ -0,0 +1,26 @@
+// config/rateLimits.js
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// Per-route limits as { windowMs, max }; RATE_LIMIT_DISABLED=true turns them off (e.g. load tests)
+module.exports = {
+  disabled: process.env.RATE_LIMIT_DISABLED === 'true',
+  login: {
+    ip: { windowMs: 15 * MINUTE, max: 20 },
+    account: { windowMs: 15 * MINUTE, max: 10 }
+  },
+  signup: { windowMs: HOUR, max: 10 },
+  verifyToken: { windowMs: MINUTE, max: 60 },
+  emailLinks: {
+    ip: { windowMs: HOUR, max: 10 },
+    account: { windowMs: HOUR, max: 3 }
+  },
+  tokenRedemption: { windowMs: 15 * MINUTE, max: 20 },
+  supportCreate: { windowMs: HOUR, max: 10 },
+  lockout: {
+    threshold: 5,
+    failureWindowMs: HOUR,
+    baseLockMs: MINUTE,
+    maxLockMs: HOUR
+  }
+};
@@ -0,0 +1,29 @@
+// config/sla.js
+const HOUR = 60;
+
+// Fallback targets (in minutes) for priorities without a stored SLA policy
+const DEFAULT_TARGETS = {
+  high: { firstResponseMinutes: 1 * HOUR, resolutionMinutes: 8 * HOUR },
+  medium: { firstResponseMinutes: 4 * HOUR, resolutionMinutes: 24 * HOUR },
+  low: { firstResponseMinutes: 24 * HOUR, resolutionMinutes: 72 * HOUR }
+};
+
+const weekday = { start: '09:00', end: '17:00' };
+
+// Fallback business calendar until an admin stores one
+const DEFAULT_CALENDAR = {
+  timezone: process.env.SLA_TIMEZONE || 'UTC',
+  workingHours: { mon: weekday, tue: weekday, wed: weekday, thu: weekday, fri: weekday },
+  holidays: []
+};
+
+module.exports = {
+  DEFAULT_TARGETS,
+  DEFAULT_CALENDAR,
+  // A ticket is "warning" once this share of its target time has elapsed
+  warningRatio: parseFloat(process.env.SLA_WARNING_RATIO) || 0.8,
+  // How often the in-process scheduler runs; 0 disables it (e.g. on serverless, use the cron endpoint)
+  checkIntervalMs: process.env.SLA_CHECK_INTERVAL_MS !== undefined
+    ? parseInt(process.env.SLA_CHECK_INTERVAL_MS, 10)
+    : 5 * 60 * 1000
+};
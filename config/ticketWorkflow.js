@@ -0,0 +1,45 @@
+// config/ticketWorkflow.js
+
+// Allowed status changes. Each transition is open to users with `permission`, and/or to
+// the ticket's requester when `requester` is set. `requires` lists body fields that must
+// be present, with the message returned when one is missing.
+const TRANSITIONS = [
+  { from: 'pending', to: 'in-progress', permission: 'ticket:update' },
+  { from: 'in-progress', to: 'pending', permission: 'ticket:update' },
+  {
+    from: 'pending',
+    to: 'resolved',
+    permission: 'ticket:update',
+    requires: { resolutionNote: 'A resolution note is required to resolve a ticket' }
+  },
+  {
+    from: 'in-progress',
+    to: 'resolved',
+    permission: 'ticket:update',
+    requires: { resolutionNote: 'A resolution note is required to resolve a ticket' }
+  },
+  { from: 'resolved', to: 'closed', permission: 'ticket:update' },
+  // Reopen: the requester does this by replying (see services/ticketMessageService.js)
+  { from: 'resolved', to: 'in-progress', permission: 'ticket:update', requester: true },
+  // Closed is final for agents; supervisors can reopen, or close spam/duplicates outright
+  {
+    from: 'closed',
+    to: 'in-progress',
+    permission: 'ticket:reopen',
+    requires: { note: 'A note explaining why the ticket is reopened is required' }
+  },
+  {
+    from: 'pending',
+    to: 'closed',
+    permission: 'ticket:reopen',
+    requires: { note: 'A note is required to close a ticket without resolving it' }
+  },
+  {
+    from: 'in-progress',
+    to: 'closed',
+    permission: 'ticket:reopen',
+    requires: { note: 'A note is required to close a ticket without resolving it' }
+  }
+];
+
+module.exports = { TRANSITIONS };
@@ -0,0 +1,21 @@
+// config/webhooks.js
+
+// Events admins can subscribe a webhook to
+const WEBHOOK_EVENTS = [
+  'ticket.created',
+  'ticket.updated',
+  'ticket.deleted',
+  'user.created'
+];
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  // Delivery worker: polling interval, attempts before giving up, first retry delay (doubles each time)
+  pollIntervalMs: parseInt(process.env.WEBHOOK_POLL_MS, 10) || 5000,
+  maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 8,
+  retryBaseMs: parseInt(process.env.WEBHOOK_RETRY_BASE_MS, 10) || 30 * 1000,
+  // How long a receiver gets to answer before the attempt counts as failed
+  timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10 * 1000,
+  // Local development only: lets webhooks reach localhost and private networks
+  allowPrivateUrls: process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true'
+};
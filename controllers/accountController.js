@@ -0,0 +1,227 @@
+const bcrypt = require('bcryptjs');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const { reauthenticate } = require('../services/identityService');
+const { deleteAccount } = require('../services/accountService');
+const { recordAudit } = require('../services/auditService');
+const { NOTIFICATION_PREFERENCES, SUPPORTED_LOCALES } = require('../config/notifications');
+
+const MIN_PASSWORD_LENGTH = 6;
+
+// @desc    Update the current user's profile
+// @route   PATCH /api/auth/profile
+// @access  Private
+const updateProfile = async (req, res) => {
+  try {
+    const { name, locale } = req.body;
+
+    if (name === undefined && locale === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Nothing to update'
+      });
+    }
+
+    if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Name cannot be empty'
+      });
+    }
+
+    // null goes back to the default language
+    if (locale !== undefined && locale !== null && !SUPPORTED_LOCALES.includes(locale)) {
+      return res.status(400).json({
+        success: false,
+        message: `Locale must be one of: ${SUPPORTED_LOCALES.join(', ')}`
+      });
+    }
+
+    const user = await User.findById(req.user.id);
+    const before = { name: user.name, locale: user.locale };
+    if (name !== undefined) {
+      user.name = name.trim();
+    }
+    if (locale !== undefined) {
+      user.locale = locale || undefined;
+    }
+    await user.save();
+    await recordAudit(req, {
+      action: 'user.profile_updated',
+      target: { type: 'user', id: user._id },
+      before,
+      after: { name: user.name, locale: user.locale }
+    });
+
+    res.json({
+      success: true,
+      message: 'Profile updated successfully',
+      data: {
+        user: {
+          id: user._id,
+          name: user.name,
+          email: user.email,
+          emailVerified: user.emailVerified,
+          locale: user.locale,
+          createdAt: user.createdAt
+        }
+      }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Update profile error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating profile'
+    });
+  }
+};
+
+// @desc    Change (or, for provider-only accounts, set) the password
+// @route   POST /api/auth/change-password
+// @access  Private
+const changePassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!newPassword || newPassword.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `New password must be at least ${MIN_PASSWORD_LENGTH} characters`
+      });
+    }
+
+    const user = await User.findById(req.user.id);
+    const hadPassword = Boolean(user.password);
+    await reauthenticate(user, { password: currentPassword }, req.user.sessionId);
+
+    const salt = await bcrypt.genSalt(10);
+    user.password = await bcrypt.hash(newPassword, salt);
+    await user.save();
+
+    // Keep this session, sign out everywhere else
+    await Session.revokeAllForUser(user._id, 'password-changed', req.user.sessionId);
+    await recordAudit(req, {
+      action: hadPassword ? 'auth.password_changed' : 'auth.password_set',
+      target: { type: 'user', id: user._id }
+    });
+
+    res.json({
+      success: true,
+      message: hadPassword ? 'Password changed successfully' : 'Password set successfully'
+    });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Error changing password'
+    });
+  }
+};
+
+// @desc    Delete the current user's account
+// @route   DELETE /api/auth/account
+// @access  Private
+const deleteMyAccount = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    await reauthenticate(user, req.body, req.user.sessionId);
+
+    const { anonymisedTickets } = await deleteAccount(user);
+    await recordAudit(req, {
+      action: 'user.deleted',
+      target: { type: 'user', id: user._id },
+      metadata: { email: user.email, anonymisedTickets, selfService: true }
+    });
+
+    res.json({
+      success: true,
+      message: 'Account deleted successfully',
+      data: { anonymisedTickets }
+    });
+  } catch (error) {
+    console.error('Delete account error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Error deleting account'
+    });
+  }
+};
+
+// @desc    Get the current user's email notification settings
+// @route   GET /api/auth/notifications
+// @access  Private
+const getNotificationPreferences = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        preferences: user.notificationPreferences,
+        events: NOTIFICATION_PREFERENCES
+      }
+    });
+  } catch (error) {
+    console.error('Get notification preferences error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching notification preferences'
+    });
+  }
+};
+
+// @desc    Turn ticket emails on or off, e.g. { "replied": true, "statusChanged": false }
+// @route   PUT /api/auth/notifications
+// @access  Private
+const updateNotificationPreferences = async (req, res) => {
+  try {
+    const keys = Object.keys(NOTIFICATION_PREFERENCES);
+    const updates = Object.entries(req.body || {});
+
+    if (updates.length === 0 || updates.some(([key, value]) => !keys.includes(key) || typeof value !== 'boolean')) {
+      return res.status(400).json({
+        success: false,
+        message: `Send true/false values for: ${keys.join(', ')}`
+      });
+    }
+
+    const user = await User.findById(req.user.id);
+    const before = { ...user.notificationPreferences.toObject() };
+    updates.forEach(([key, value]) => {
+      user.notificationPreferences[key] = value;
+    });
+    await user.save();
+    await recordAudit(req, {
+      action: 'user.notification_preferences_updated',
+      target: { type: 'user', id: user._id },
+      before,
+      after: user.notificationPreferences.toObject()
+    });
+
+    res.json({
+      success: true,
+      message: 'Notification preferences updated',
+      data: { preferences: user.notificationPreferences }
+    });
+  } catch (error) {
+    console.error('Update notification preferences error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating notification preferences'
+    });
+  }
+};
+
+module.exports = {
+  updateProfile,
+  getNotificationPreferences,
+  updateNotificationPreferences,
+  changePassword,
+  deleteMyAccount
+};
@@ -0,0 +1,357 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Identity = require('../models/Identity');
+const Session = require('../models/Session');
+const ApiKey = require('../models/ApiKey');
+const { ROLES, can } = require('../config/permissions');
+const { createSession } = require('../services/sessionService');
+const { sendPasswordResetEmail } = require('../services/passwordResetService');
+const { recordAudit } = require('../services/auditService');
+const { escapeRegex, parsePagination } = require('../utils/query');
+
+const IMPERSONATION_TTL_MS = (parseInt(process.env.IMPERSONATION_TTL_MINUTES, 10) || 60) * 60 * 1000;
+
+const formatUser = (user, identities = []) => ({
+  id: user._id,
+  name: user.name,
+  email: user.email,
+  role: user.role,
+  authProvider: user.authProvider,
+  providers: identities.map(identity => identity.provider),
+  hasPassword: Boolean(user.password),
+  emailVerified: user.emailVerified,
+  twoFactorEnabled: Boolean(user.twoFactor && user.twoFactor.enabled),
+  disabledAt: user.disabledAt,
+  disabledReason: user.disabledReason,
+  passwordResetRequired: user.passwordResetRequired,
+  createdAt: user.createdAt
+});
+
+const findTargetUser = async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+    return null;
+  }
+
+  const user = await User.findById(req.params.id);
+  if (!user) {
+    res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+    return null;
+  }
+  return user;
+};
+
+const isSelf = (req, user) => String(user._id) === String(req.user.id);
+
+// @desc    Search and paginate users
+// @route   GET /api/admin/users?search=&role=&provider=&status=&page=&limit=
+// @access  Private/Admin
+const getUsers = async (req, res) => {
+  try {
+    const { search, role, provider, status } = req.query;
+    const { page, limit, skip } = parsePagination(req.query, { defaultLimit: 20 });
+    const query = {};
+
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search), 'i');
+      query.$or = [{ name: pattern }, { email: pattern }];
+    }
+
+    if (role) {
+      query.role = role;
+    }
+
+    if (provider === 'local') {
+      query.password = { $exists: true, $ne: null };
+    } else if (provider) {
+      const userIds = await Identity.distinct('userId', { provider: provider.toLowerCase() });
+      query._id = { $in: userIds };
+    }
+
+    if (status === 'disabled') {
+      query.disabledAt = { $ne: null };
+    } else if (status === 'active') {
+      query.disabledAt = null;
+    }
+
+    const [users, total] = await Promise.all([
+      User.find(query).sort({ createdAt: -1 }).skip(skip).limit(limit),
+      User.countDocuments(query)
+    ]);
+
+    const identities = await Identity.find({ userId: { $in: users.map(user => user._id) } });
+
+    res.json({
+      success: true,
+      data: users.map(user => formatUser(
+        user,
+        identities.filter(identity => String(identity.userId) === String(user._id))
+      )),
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    });
+  } catch (error) {
+    console.error('Admin get users error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching users'
+    });
+  }
+};
+
+// @desc    Get a single user
+// @route   GET /api/admin/users/:id
+// @access  Private/Admin
+const getUser = async (req, res) => {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) {
+      return;
+    }
+
+    const [identities, activeSessions, activeApiKeys] = await Promise.all([
+      Identity.find({ userId: user._id }),
+      Session.countDocuments({ userId: user._id, revokedAt: null, expiresAt: { $gt: new Date() } }),
+      ApiKey.countDocuments({ userId: user._id, revokedAt: null })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        ...formatUser(user, identities),
+        activeSessions,
+        activeApiKeys
+      }
+    });
+  } catch (error) {
+    console.error('Admin get user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching user'
+    });
+  }
+};
+
+// @desc    Change a user's role
+// @route   PATCH /api/admin/users/:id/role
+// @access  Private/Admin
+const updateUserRole = async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Role must be one of: ${ROLES.join(', ')}`
+      });
+    }
+
+    const user = await findTargetUser(req, res);
+    if (!user) {
+      return;
+    }
+
+    // Stops an admin from locking themselves (and possibly everyone) out of admin tools
+    if (isSelf(req, user)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change your own role'
+      });
+    }
+
+    const previousRole = user.role;
+    user.role = role;
+    await user.save();
+    await recordAudit(req, {
+      action: 'user.role_changed',
+      target: { type: 'user', id: user._id },
+      changes: { role: { from: previousRole, to: role } }
+    });
+
+    res.json({
+      success: true,
+      message: 'User role updated successfully',
+      data: formatUser(user)
+    });
+  } catch (error) {
+    console.error('Admin update role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating user role'
+    });
+  }
+};
+
+// @desc    Disable a user (revokes sessions; API keys stop working)
+// @route   POST /api/admin/users/:id/disable
+// @access  Private/Admin
+const disableUser = async (req, res) => {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) {
+      return;
+    }
+
+    if (isSelf(req, user)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot disable your own account'
+      });
+    }
+
+    user.disabledAt = new Date();
+    user.disabledReason = req.body.reason;
+    user.disabledBy = req.user.id;
+    await user.save();
+    await Session.revokeAllForUser(user._id, 'account-disabled');
+    await recordAudit(req, {
+      action: 'user.disabled',
+      target: { type: 'user', id: user._id },
+      metadata: { reason: user.disabledReason }
+    });
+
+    res.json({
+      success: true,
+      message: 'User disabled successfully',
+      data: formatUser(user)
+    });
+  } catch (error) {
+    console.error('Admin disable user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error disabling user'
+    });
+  }
+};
+
+// @desc    Re-enable a disabled user
+// @route   POST /api/admin/users/:id/enable
+// @access  Private/Admin
+const enableUser = async (req, res) => {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) {
+      return;
+    }
+
+    user.disabledAt = undefined;
+    user.disabledReason = undefined;
+    user.disabledBy = undefined;
+    await user.save();
+    await recordAudit(req, { action: 'user.enabled', target: { type: 'user', id: user._id } });
+
+    res.json({
+      success: true,
+      message: 'User enabled successfully',
+      data: formatUser(user)
+    });
+  } catch (error) {
+    console.error('Admin enable user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error enabling user'
+    });
+  }
+};
+
+// @desc    Force a password reset (signs the user out and emails a reset link)
+// @route   POST /api/admin/users/:id/force-password-reset
+// @access  Private/Admin
+const forcePasswordReset = async (req, res) => {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) {
+      return;
+    }
+
+    user.passwordResetRequired = true;
+    await sendPasswordResetEmail(user, { forced: true });
+    await Session.revokeAllForUser(user._id, 'password-reset-forced');
+    await recordAudit(req, { action: 'user.password_reset_forced', target: { type: 'user', id: user._id } });
+
+    res.json({
+      success: true,
+      message: 'Password reset required, the user has been emailed a reset link',
+      data: formatUser(user)
+    });
+  } catch (error) {
+    console.error('Admin force password reset error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error forcing password reset'
+    });
+  }
+};
+
+// @desc    Start a short-lived session as another user for support debugging
+// @route   POST /api/admin/users/:id/impersonate
+// @access  Private/Admin
+const impersonateUser = async (req, res) => {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) {
+      return;
+    }
+
+    if (isSelf(req, user) || user.disabledAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'This user cannot be impersonated'
+      });
+    }
+
+    // Impersonating another admin would hand out their privileges under their name
+    if (can({ role: user.role }, 'user:manage')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Administrators cannot be impersonated'
+      });
+    }
+
+    const { token, refreshToken, session } = await createSession(user._id, req, {
+      impersonatedBy: req.user.id,
+      ttlMs: IMPERSONATION_TTL_MS
+    });
+
+    await recordAudit(req, {
+      action: 'user.impersonation_started',
+      target: { type: 'user', id: user._id },
+      metadata: { sessionId: session._id, expiresAt: session.expiresAt }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `You are now acting as ${user.email}. Every request with this token is marked as impersonated`,
+      data: {
+        user: formatUser(user),
+        token,
+        refreshToken,
+        impersonatedBy: req.user.id,
+        expiresAt: session.expiresAt
+      }
+    });
+  } catch (error) {
+    console.error('Admin impersonate error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error starting impersonation'
+    });
+  }
+};
+
+module.exports = {
+  getUsers,
+  getUser,
+  updateUserRole,
+  disableUser,
+  enableUser,
+  forcePasswordReset,
+  impersonateUser
+};
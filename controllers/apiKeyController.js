@@ -0,0 +1,203 @@
+const ApiKey = require('../models/ApiKey');
+const User = require('../models/User');
+const { PERMISSIONS, hasPermission, can } = require('../config/permissions');
+const { generateApiKey } = require('../services/apiKeyService');
+const { recordAudit } = require('../services/auditService');
+
+const MAX_KEYS_PER_USER = 20;
+
+const formatApiKey = (apiKey) => ({
+  id: apiKey._id,
+  name: apiKey.name,
+  userId: apiKey.userId,
+  prefix: apiKey.prefix,
+  scopes: apiKey.scopes,
+  expiresAt: apiKey.expiresAt,
+  lastUsedAt: apiKey.lastUsedAt,
+  lastUsedIp: apiKey.lastUsedIp,
+  revokedAt: apiKey.revokedAt,
+  createdAt: apiKey.createdAt
+});
+
+// @desc    List API keys (own keys; admins may pass ?userId=)
+// @route   GET /api/auth/api-keys
+// @access  Private
+const getApiKeys = async (req, res) => {
+  try {
+    let userId = req.user.id;
+    if (req.query.userId) {
+      if (!can(req.user, 'user:manage')) {
+        return res.status(403).json({
+          success: false,
+          message: 'You do not have permission to perform this action'
+        });
+      }
+      userId = req.query.userId;
+    }
+
+    const apiKeys = await ApiKey.find({ userId }).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: apiKeys.map(formatApiKey)
+    });
+  } catch (error) {
+    console.error('Get API keys error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching API keys'
+    });
+  }
+};
+
+// @desc    Create an API key (admins may create keys for service users via userId)
+// @route   POST /api/auth/api-keys
+// @access  Private
+const createApiKey = async (req, res) => {
+  try {
+    const { name, scopes, expiresAt, userId } = req.body;
+
+    if (!name || !Array.isArray(scopes) || scopes.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'A name and at least one scope are required'
+      });
+    }
+
+    let owner;
+    if (userId && String(userId) !== String(req.user.id)) {
+      if (!can(req.user, 'user:manage')) {
+        return res.status(403).json({
+          success: false,
+          message: 'You do not have permission to perform this action'
+        });
+      }
+      owner = await User.findById(userId);
+    } else {
+      owner = await User.findById(req.user.id);
+    }
+
+    if (!owner) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const unknownScopes = scopes.filter(scope => !PERMISSIONS.includes(scope));
+    if (unknownScopes.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown scopes: ${unknownScopes.join(', ')}`
+      });
+    }
+
+    // A key can never do more than its owner
+    const deniedScopes = scopes.filter(scope => !hasPermission(owner.role, scope));
+    if (deniedScopes.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `The key owner does not have: ${deniedScopes.join(', ')}`
+      });
+    }
+
+    let expiry;
+    if (expiresAt) {
+      expiry = new Date(expiresAt);
+      if (isNaN(expiry.getTime()) || expiry <= new Date()) {
+        return res.status(400).json({
+          success: false,
+          message: 'expiresAt must be a date in the future'
+        });
+      }
+    }
+
+    const activeKeys = await ApiKey.countDocuments({ userId: owner._id, revokedAt: null });
+    if (activeKeys >= MAX_KEYS_PER_USER) {
+      return res.status(400).json({
+        success: false,
+        message: `A user can have at most ${MAX_KEYS_PER_USER} API keys`
+      });
+    }
+
+    const { key, prefix, keyHash } = generateApiKey();
+    const apiKey = await ApiKey.create({
+      name,
+      userId: owner._id,
+      createdBy: req.user.id,
+      prefix,
+      keyHash,
+      scopes: [...new Set(scopes)],
+      expiresAt: expiry
+    });
+    await recordAudit(req, {
+      action: 'auth.api_key_created',
+      target: { type: 'apiKey', id: apiKey._id },
+      metadata: { ownerId: owner._id, name, scopes: apiKey.scopes, expiresAt: expiry }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created. Copy it now, it will not be shown again',
+      data: {
+        ...formatApiKey(apiKey),
+        key
+      }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Create API key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating API key'
+    });
+  }
+};
+
+// @desc    Revoke an API key
+// @route   DELETE /api/auth/api-keys/:id
+// @access  Private
+const revokeApiKey = async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findById(req.params.id);
+
+    if (!apiKey || (String(apiKey.userId) !== String(req.user.id) && !can(req.user, 'user:manage'))) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found'
+      });
+    }
+
+    if (!apiKey.revokedAt) {
+      apiKey.revokedAt = new Date();
+      await apiKey.save();
+      await recordAudit(req, {
+        action: 'auth.api_key_revoked',
+        target: { type: 'apiKey', id: apiKey._id },
+        metadata: { ownerId: apiKey.userId, name: apiKey.name }
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'API key revoked successfully'
+    });
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking API key'
+    });
+  }
+};
+
+module.exports = {
+  getApiKeys,
+  createApiKey,
+  revokeApiKey
+};
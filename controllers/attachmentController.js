@@ -0,0 +1,174 @@
+// controllers/attachmentController.js
+const mongoose = require('mongoose');
+const SupportRequest = require('../models/SupportRequest');
+const { can } = require('../config/permissions');
+const {
+  openAttachment,
+  thumbnailOf,
+  findTicketAttachment,
+  verifyDownloadToken,
+  getAttachmentUrl
+} = require('../services/attachmentService');
+const { canReadTicket } = require('../utils/ticketAccess');
+
+const isStaff = (user) => can(user, 'ticket:update');
+
+// Types a browser may render in place; everything else is always downloaded
+const INLINE_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'application/pdf'];
+
+const dispositionFor = (req, attachment) => {
+  return req.query.inline === 'true' && INLINE_TYPES.includes(attachment.mimetype) ? 'inline' : 'attachment';
+};
+
+const notFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Attachment not found'
+});
+
+// The original, or its preview with ?variant=thumbnail. Null when that variant doesn't exist.
+const selectVariant = (req, attachment) => {
+  return req.query.variant === 'thumbnail' ? thumbnailOf(attachment) : attachment;
+};
+
+// Stream a stored attachment to the client
+const sendAttachment = async (res, attachment, disposition) => {
+  let file;
+  try {
+    file = await openAttachment(attachment);
+  } catch (error) {
+    if (error.status === 404) {
+      return notFound(res);
+    }
+    throw error;
+  }
+
+  const asciiName = attachment.filename.replace(/[^\x20-\x7e]|["\\]/g, '_');
+  res.set({
+    'Content-Type': attachment.mimetype || 'application/octet-stream',
+    'Content-Disposition': `${disposition}; filename="${asciiName}"; filename*=UTF-8''${encodeURIComponent(attachment.filename)}`,
+    'X-Content-Type-Options': 'nosniff',
+    'Cache-Control': 'private, no-store'
+  });
+  if (file.size !== undefined) {
+    res.set('Content-Length', String(file.size));
+  }
+
+  file.stream.on('error', (error) => {
+    console.error('Attachment stream error:', error);
+    res.destroy(error);
+  });
+  file.stream.pipe(res);
+};
+
+// Ticket and attachment the current user may read, or null after sending a 404
+const findReadableAttachment = async (req, res) => {
+  const { id, attachmentId } = req.params;
+  const supportRequest = mongoose.isValidObjectId(id) ? await SupportRequest.findById(id) : null;
+
+  if (!supportRequest || !canReadTicket(req.user, supportRequest)) {
+    res.status(404).json({
+      success: false,
+      message: 'Support request not found'
+    });
+    return null;
+  }
+
+  const attachment = mongoose.isValidObjectId(attachmentId)
+    ? await findTicketAttachment(supportRequest, attachmentId, { includeInternal: isStaff(req.user) })
+    : null;
+  const variant = attachment && selectVariant(req, attachment);
+  if (!variant) {
+    notFound(res);
+    return null;
+  }
+  return variant;
+};
+
+// Download an attachment of a support request or one of its messages (?variant=thumbnail for image previews)
+exports.downloadAttachment = async (req, res) => {
+  try {
+    const attachment = await findReadableAttachment(req, res);
+    if (!attachment) {
+      return;
+    }
+    await sendAttachment(res, attachment, dispositionFor(req, attachment));
+  } catch (error) {
+    console.error('Error downloading attachment:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to download attachment',
+      error: error.message
+    });
+  }
+};
+
+// Get a short-lived URL for an attachment that works without the Authorization header
+exports.getAttachmentDownloadUrl = async (req, res) => {
+  try {
+    const attachment = await findReadableAttachment(req, res);
+    if (!attachment) {
+      return;
+    }
+
+    const apiBaseUrl = process.env.API_URL || `${req.protocol}://${req.get('host')}`;
+    const data = await getAttachmentUrl(attachment, { apiBaseUrl, disposition: dispositionFor(req, attachment) });
+
+    res.status(200).json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    console.error('Error creating attachment URL:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create download link',
+      error: error.message
+    });
+  }
+};
+
+// Download through a signed URL issued by getAttachmentDownloadUrl (local storage)
+exports.downloadSignedAttachment = async (req, res) => {
+  try {
+    const decoded = req.query.token ? verifyDownloadToken(req.query.token) : null;
+
+    if (!decoded) {
+      return res.status(401).json({
+        success: false,
+        message: 'This download link is invalid or has expired'
+      });
+    }
+
+    await sendAttachment(res, decoded.attachment, decoded.disposition);
+  } catch (error) {
+    console.error('Error downloading signed attachment:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to download attachment',
+      error: error.message
+    });
+  }
+};
+
+// Download an attachment of the ticket a guest magic link points to
+exports.downloadGuestAttachment = async (req, res) => {
+  try {
+    const { attachmentId } = req.params;
+    const found = mongoose.isValidObjectId(attachmentId)
+      ? await findTicketAttachment(req.guestTicket, attachmentId)
+      : null;
+    const attachment = found && selectVariant(req, found);
+
+    if (!attachment) {
+      return notFound(res);
+    }
+    await sendAttachment(res, attachment, dispositionFor(req, attachment));
+  } catch (error) {
+    console.error('Error downloading guest attachment:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to download attachment',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const { verifyChain } = require('../services/auditService');
+const { escapeRegex, parsePagination } = require('../utils/query');
+
+// @desc    Query the audit log
+// @route   GET /api/admin/audit?action=&actorId=&targetType=&targetId=&from=&to=&page=&limit=
+// @access  Private/Admin
+const getAuditLogs = async (req, res) => {
+  try {
+    const { action, actorId, targetType, targetId, from, to } = req.query;
+    const { page, limit, skip } = parsePagination(req.query, { defaultLimit: 50, maxLimit: 200 });
+    const query = {};
+
+    if (action) {
+      // "ticket.*" matches every ticket action
+      query.action = action.endsWith('.*')
+        ? { $regex: `^${escapeRegex(action.slice(0, -2))}\\.` }
+        : action;
+    }
+
+    if (actorId) {
+      if (!mongoose.isValidObjectId(actorId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid actorId'
+        });
+      }
+      query['actor.userId'] = actorId;
+    }
+
+    if (targetType) {
+      query['target.type'] = targetType;
+    }
+    if (targetId) {
+      query['target.id'] = targetId;
+    }
+
+    if (from || to) {
+      query.createdAt = {};
+      if (from) {
+        query.createdAt.$gte = new Date(from);
+      }
+      if (to) {
+        query.createdAt.$lte = new Date(to);
+      }
+      if (Object.values(query.createdAt).some(date => isNaN(date.getTime()))) {
+        return res.status(400).json({
+          success: false,
+          message: 'from and to must be valid dates'
+        });
+      }
+    }
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(query).sort({ sequence: -1 }).skip(skip).limit(limit),
+      AuditLog.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: entries,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    });
+  } catch (error) {
+    console.error('Get audit log error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching audit log'
+    });
+  }
+};
+
+// @desc    Verify the audit log hash chain
+// @route   GET /api/admin/audit/verify
+// @access  Private/Admin
+const verifyAuditLog = async (req, res) => {
+  try {
+    const result = await verifyChain();
+
+    res.status(result.valid ? 200 : 409).json({
+      success: result.valid,
+      message: result.valid ? 'Audit log is intact' : 'Audit log has been tampered with',
+      data: result
+    });
+  } catch (error) {
+    console.error('Verify audit log error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error verifying audit log'
+    });
+  }
+};
+
+module.exports = {
+  getAuditLogs,
+  verifyAuditLog
+};
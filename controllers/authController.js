@@ -1,14 +1,57 @@
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
-const { OAuth2Client } = require('google-auth-library');
 const User = require('../models/User');
-
-const client = new OAuth2Client(process.env.GOOGLE_CLIENT_ID);
-
-// Generate JWT token
-const generateToken = (userId) => {
-  return jwt.sign({ id: userId }, process.env.JWT_SECRET, {
-    expiresIn: '30d'
+const Session = require('../models/Session');
+const {
+  createSession,
+  rotateSession,
+  findSessionByRefreshToken,
+  revokeSession,
+  isSessionActive
+} = require('../services/sessionService');
+const { sendMail } = require('../services/mail');
+const { sendPasswordResetEmail } = require('../services/passwordResetService');
+const { getLoginBlock } = require('../services/accountService');
+const { randomToken, hashToken } = require('../utils/tokens');
+const { clientUrl } = require('../utils/urls');
+const emailVerification = require('../config/emailVerification');
+const { getPermissions } = require('../config/permissions');
+const { createChallengeToken, isRequiredForRole } = require('../services/twoFactorService');
+const { registerFailure, clearFailures } = require('../services/rateLimit/lockout');
+const { recordAudit } = require('../services/auditService');
+const { publish } = require('../services/eventBus');
+const {
+  isKnownProvider,
+  verifyProviderCredential,
+  findUserByIdentity,
+  linkIdentity
+} = require('../services/identityService');
+
+const MIN_PASSWORD_LENGTH = 6;
+
+// Response for a user with 2FA enabled: no session yet, only a challenge for /2fa/verify
+const twoFactorChallengeResponse = (user) => ({
+  success: true,
+  message: 'Two-factor authentication required',
+  data: {
+    twoFactorRequired: true,
+    challengeToken: createChallengeToken(user._id)
+  }
+});
+
+// Issue a fresh verification token and email the link to the user
+const sendVerificationEmail = async (user) => {
+  const verificationToken = randomToken();
+  user.emailVerificationTokenHash = hashToken(verificationToken);
+  user.emailVerificationExpires = new Date(Date.now() + emailVerification.tokenTtlHours * 60 * 60 * 1000);
+  await user.save();
+
+  const link = clientUrl('/verify-email', { token: verificationToken });
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your Record email address',
+    text: `Hi ${user.name},\n\nPlease confirm your email address by opening the link below. ` +
+      `It expires in ${emailVerification.tokenTtlHours} hours.\n\n${link}`
   });
 };
 
@@ -47,9 +90,29 @@ const signup = async (req, res) => {
       password: hashedPassword,
       authProvider: 'local'
     });
+    await recordAudit(req, { action: 'auth.signup', actor: user, target: { type: 'user', id: user._id } });
+    publish('user.created', { user });
+
+    // Don't fail signup if the mail relay is down; the user can ask for a new link
+    await sendVerificationEmail(user).catch(err => console.error('Verification email error:', err));
+
+    if (emailVerification.policy === 'block-login') {
+      return res.status(201).json({
+        success: true,
+        message: 'User created successfully, please verify your email before logging in',
+        data: {
+          user: {
+            id: user._id,
+            name: user.name,
+            email: user.email,
+            emailVerified: user.emailVerified
+          }
+        }
+      });
+    }
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Start a session
+    const { token, refreshToken } = await createSession(user._id, req);
 
     res.status(201).json({
       success: true,
@@ -58,9 +121,11 @@ const signup = async (req, res) => {
         user: {
           id: user._id,
           name: user.name,
-          email: user.email
+          email: user.email,
+          emailVerified: user.emailVerified
         },
-        token
+        token,
+        refreshToken
       }
     });
   } catch (error) {
@@ -87,34 +152,76 @@ const login = async (req, res) => {
       });
     }
 
+    // Failed attempts count against the email, whether or not the account exists
+    const lockoutKey = `login:${String(email).trim().toLowerCase()}`;
+
     // Find user
     const user = await User.findByEmail(email);
     if (!user) {
+      await registerFailure(lockoutKey);
+      await recordAudit(req, { action: 'auth.login_failed', metadata: { email, reason: 'unknown-email' } });
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
       });
     }
 
-    // Check if user signed up with Google
-    if (user.authProvider === 'google' && !user.password) {
+    // Accounts created through an identity provider may not have a password
+    if (!user.password) {
       return res.status(401).json({
         success: false,
-        message: 'Please sign in with Google'
+        message: 'Please sign in with your linked provider'
       });
     }
 
     // Check password
     const isPasswordValid = await bcrypt.compare(password, user.password);
     if (!isPasswordValid) {
+      await registerFailure(lockoutKey);
+      await recordAudit(req, {
+        action: 'auth.login_failed',
+        actor: user,
+        target: { type: 'user', id: user._id },
+        metadata: { reason: 'wrong-password' }
+      });
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
       });
     }
 
-    // Generate token
-    const token = generateToken(user._id);
+    await clearFailures(lockoutKey);
+
+    const block = getLoginBlock(user, { passwordLogin: true });
+    if (block) {
+      return res.status(block.status).json({
+        success: false,
+        message: block.message,
+        code: block.code
+      });
+    }
+
+    if (!user.emailVerified && emailVerification.policy === 'block-login') {
+      return res.status(403).json({
+        success: false,
+        message: 'Please verify your email before logging in',
+        code: 'EMAIL_NOT_VERIFIED'
+      });
+    }
+
+    if (user.twoFactor && user.twoFactor.enabled) {
+      return res.json(twoFactorChallengeResponse(user));
+    }
+
+    // Start a session
+    const { token, refreshToken, session } = await createSession(user._id, req);
+    const twoFactorSetupRequired = await isRequiredForRole(user.role);
+    await recordAudit(req, {
+      action: 'auth.login',
+      actor: user,
+      target: { type: 'user', id: user._id },
+      metadata: { method: 'password', sessionId: session._id }
+    });
 
     res.json({
       success: true,
@@ -123,9 +230,12 @@ const login = async (req, res) => {
         user: {
           id: user._id,
           name: user.name,
-          email: user.email
+          email: user.email,
+          emailVerified: user.emailVerified
         },
-        token
+        token,
+        refreshToken,
+        twoFactorSetupRequired
       }
     });
   } catch (error) {
@@ -137,67 +247,133 @@ const login = async (req, res) => {
   }
 };
 
+// Sign in (or sign up) with a verified provider profile. An existing account with the
+// same email is never linked implicitly; the owner has to sign in and link it explicitly.
+const signInWithProvider = async (provider, req, res) => {
+  const profile = await verifyProviderCredential(provider, req.body);
+
+  let user = await findUserByIdentity(provider, profile);
+
+  if (!user) {
+    const existingUser = profile.email ? await User.findByEmail(profile.email) : null;
+    if (existingUser) {
+      return res.status(409).json({
+        success: false,
+        message: 'An account with this email already exists. Sign in with your existing method and link this provider from your account settings',
+        code: 'ACCOUNT_EXISTS'
+      });
+    }
+
+    if (!profile.email) {
+      return res.status(400).json({
+        success: false,
+        message: 'The identity provider did not share an email address'
+      });
+    }
+
+    // Create new user
+    user = await User.create({
+      name: profile.name || profile.email,
+      email: profile.email,
+      authProvider: provider === 'google' ? 'google' : 'oidc',
+      emailVerified: profile.emailVerified
+    });
+    await linkIdentity(user, provider, profile);
+    await recordAudit(req, {
+      action: 'auth.signup',
+      actor: user,
+      target: { type: 'user', id: user._id },
+      metadata: { provider }
+    });
+    publish('user.created', { user });
+  } else if (profile.emailVerified && !user.emailVerified &&
+    profile.email && profile.email.toLowerCase() === user.email) {
+    user.emailVerified = true;
+    await user.save();
+  }
+
+  const block = getLoginBlock(user);
+  if (block) {
+    return res.status(block.status).json({
+      success: false,
+      message: block.message,
+      code: block.code
+    });
+  }
+
+  if (user.twoFactor && user.twoFactor.enabled) {
+    return res.json(twoFactorChallengeResponse(user));
+  }
+
+  // Start a session
+  const { token, refreshToken, session } = await createSession(user._id, req);
+  const twoFactorSetupRequired = await isRequiredForRole(user.role);
+  await recordAudit(req, {
+    action: 'auth.login',
+    actor: user,
+    target: { type: 'user', id: user._id },
+    metadata: { method: provider, sessionId: session._id }
+  });
+
+  res.json({
+    success: true,
+    message: 'Authentication successful',
+    data: {
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        emailVerified: user.emailVerified
+      },
+      token,
+      refreshToken,
+      twoFactorSetupRequired
+    }
+  });
+};
+
 // @desc    Google OAuth authentication
 // @route   POST /api/auth/google
 // @access  Public
 const googleAuth = async (req, res) => {
   try {
-    const { credential } = req.body;
-
-    if (!credential) {
+    if (!req.body.credential) {
       return res.status(400).json({
         success: false,
         message: 'Google credential is required'
       });
     }
 
-    // Verify Google token
-    const ticket = await client.verifyIdToken({
-      idToken: credential,
-      audience: process.env.GOOGLE_CLIENT_ID
+    await signInWithProvider('google', req, res);
+  } catch (error) {
+    console.error('Google auth error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Error with Google authentication'
     });
+  }
+};
 
-    const payload = ticket.getPayload();
-    const { email, name, sub: googleId } = payload;
-
-    // Check if user exists
-    let user = await User.findByEmail(email);
+// @desc    Sign in with a configured OpenID Connect provider
+// @route   POST /api/auth/oidc/:provider
+// @access  Public
+const oidcAuth = async (req, res) => {
+  try {
+    const provider = req.params.provider.toLowerCase();
 
-    if (!user) {
-      // Create new user
-      user = await User.create({
-        name,
-        email,
-        googleId,
-        authProvider: 'google'
+    if (provider === 'google' || !isKnownProvider(provider)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Unknown identity provider'
       });
-    } else if (user.authProvider === 'local') {
-      // Link Google account to existing local account
-      user.googleId = googleId;
-      user.authProvider = 'google';
-      await user.save();
     }
 
-    // Generate token
-    const token = generateToken(user._id);
-
-    res.json({
-      success: true,
-      message: 'Google authentication successful',
-      data: {
-        user: {
-          id: user._id,
-          name: user.name,
-          email: user.email
-        },
-        token
-      }
-    });
+    await signInWithProvider(provider, req, res);
   } catch (error) {
-    console.error('Google auth error:', error);
-    res.status(500).json({
+    console.error('OIDC auth error:', error);
+    res.status(error.status || 500).json({
       success: false,
-      message: 'Error with Google authentication'
+      message: error.status ? error.message : 'Error with identity provider authentication'
     });
   }
 };
@@ -219,7 +395,7 @@ const verifyToken = async (req, res) => {
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
     const user = await User.findById(decoded.id);
 
-    if (!user) {
+    if (!user || user.disabledAt || !(await isSessionActive(decoded.sid))) {
       return res.status(401).json({
         success: false,
         message: 'Invalid token'
@@ -232,7 +408,8 @@ const verifyToken = async (req, res) => {
         user: {
           id: user._id,
           name: user.name,
-          email: user.email
+          email: user.email,
+          emailVerified: user.emailVerified
         }
       }
     });
@@ -265,6 +442,11 @@ const getUserProfile = async (req, res) => {
           id: user._id,
           name: user.name,
           email: user.email,
+          emailVerified: user.emailVerified,
+          hasPassword: Boolean(user.password),
+          locale: user.locale,
+          role: user.role,
+          permissions: getPermissions(user.role),
           createdAt: user.createdAt
         }
       }
@@ -278,10 +460,363 @@ const getUserProfile = async (req, res) => {
   }
 };
 
+// @desc    Exchange a refresh token for a new token pair
+// @route   POST /api/auth/refresh
+// @access  Public
+const refresh = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Refresh token is required'
+      });
+    }
+
+    const rotated = await rotateSession(refreshToken, req);
+
+    res.json({
+      success: true,
+      data: {
+        token: rotated.token,
+        refreshToken: rotated.refreshToken
+      }
+    });
+  } catch (error) {
+    if (error.status === 401) {
+      return res.status(401).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error refreshing token'
+    });
+  }
+};
+
+// @desc    Logout (revoke the current session)
+// @route   POST /api/auth/logout
+// @access  Public
+const logout = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Refresh token is required'
+      });
+    }
+
+    const session = await findSessionByRefreshToken(refreshToken);
+    if (session) {
+      await revokeSession(session, 'logout');
+      await recordAudit(req, {
+        action: 'auth.logout',
+        actor: { _id: session.userId },
+        target: { type: 'session', id: session._id }
+      });
+    }
+
+    // Always report success so the endpoint can't be used to probe tokens
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error logging out'
+    });
+  }
+};
+
+// @desc    List active sessions of the current user
+// @route   GET /api/auth/sessions
+// @access  Private
+const getSessions = async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      userId: req.user.id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+
+    res.json({
+      success: true,
+      data: sessions.map(session => ({
+        id: session._id,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        current: String(session._id) === String(req.user.sessionId)
+      }))
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching sessions'
+    });
+  }
+};
+
+// @desc    Revoke one session of the current user
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+const deleteSession = async (req, res) => {
+  try {
+    const session = await Session.findOne({
+      _id: req.params.id,
+      userId: req.user.id,
+      revokedAt: null
+    });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    await revokeSession(session, 'user-revoked');
+    await recordAudit(req, { action: 'auth.session_revoked', target: { type: 'session', id: session._id } });
+
+    res.json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    console.error('Delete session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking session'
+    });
+  }
+};
+
+// @desc    Revoke all other sessions of the current user
+// @route   DELETE /api/auth/sessions
+// @access  Private
+const deleteOtherSessions = async (req, res) => {
+  try {
+    const result = await Session.revokeAllForUser(req.user.id, 'user-revoked', req.user.sessionId);
+    await recordAudit(req, {
+      action: 'auth.sessions_revoked',
+      target: { type: 'user', id: req.user.id },
+      metadata: { revoked: result.modifiedCount }
+    });
+
+    res.json({
+      success: true,
+      message: 'Other sessions revoked successfully',
+      data: { revoked: result.modifiedCount }
+    });
+  } catch (error) {
+    console.error('Delete sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking sessions'
+    });
+  }
+};
+
+// @desc    Send a password reset link
+// @route   POST /api/auth/forgot-password
+// @access  Public
+const forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is required'
+      });
+    }
+
+    const user = await User.findByEmail(email);
+
+    if (user) {
+      await sendPasswordResetEmail(user);
+      await recordAudit(req, {
+        action: 'auth.password_reset_requested',
+        actor: user,
+        target: { type: 'user', id: user._id }
+      });
+    }
+
+    // Same response whether or not the account exists, so emails can't be enumerated
+    res.json({
+      success: true,
+      message: 'If an account exists for this email, a reset link has been sent'
+    });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error sending password reset email'
+    });
+  }
+};
+
+// @desc    Reset password with a reset token
+// @route   POST /api/auth/reset-password
+// @access  Public
+const resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Token and new password are required'
+      });
+    }
+
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`
+      });
+    }
+
+    const user = await User.findOne({
+      passwordResetTokenHash: hashToken(token),
+      passwordResetExpires: { $gt: new Date() }
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired reset token'
+      });
+    }
+
+    const salt = await bcrypt.genSalt(10);
+    user.password = await bcrypt.hash(password, salt);
+    // Single use: clear the token as soon as it is consumed
+    user.passwordResetTokenHash = undefined;
+    user.passwordResetExpires = undefined;
+    user.passwordResetRequired = false;
+    await user.save();
+
+    // Whoever knew the old password should not stay signed in
+    await Session.revokeAllForUser(user._id, 'password-reset');
+    await recordAudit(req, { action: 'auth.password_reset', actor: user, target: { type: 'user', id: user._id } });
+
+    res.json({
+      success: true,
+      message: 'Password reset successfully, please log in'
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error resetting password'
+    });
+  }
+};
+
+// @desc    Verify email address with a verification token
+// @route   POST /api/auth/verify-email
+// @access  Public
+const verifyEmail = async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification token is required'
+      });
+    }
+
+    const user = await User.findOne({
+      emailVerificationTokenHash: hashToken(token),
+      emailVerificationExpires: { $gt: new Date() }
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired verification token'
+      });
+    }
+
+    user.emailVerified = true;
+    user.emailVerificationTokenHash = undefined;
+    user.emailVerificationExpires = undefined;
+    await user.save();
+    await recordAudit(req, { action: 'auth.email_verified', actor: user, target: { type: 'user', id: user._id } });
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully'
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error verifying email'
+    });
+  }
+};
+
+// @desc    Resend the email verification link
+// @route   POST /api/auth/resend-verification
+// @access  Public
+const resendVerification = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is required'
+      });
+    }
+
+    const user = await User.findByEmail(email);
+    if (user && !user.emailVerified) {
+      await sendVerificationEmail(user);
+    }
+
+    // Same response either way, so emails can't be enumerated
+    res.json({
+      success: true,
+      message: 'If this email needs verification, a new link has been sent'
+    });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error sending verification email'
+    });
+  }
+};
+
 module.exports = {
   signup,
   login,
   googleAuth,
+  oidcAuth,
   verifyToken,
-  getUserProfile
+  getUserProfile,
+  refresh,
+  logout,
+  getSessions,
+  deleteSession,
+  deleteOtherSessions,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification
 };
\ No newline at end of file
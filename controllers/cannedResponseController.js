@@ -0,0 +1,245 @@
+// controllers/cannedResponseController.js
+const mongoose = require('mongoose');
+const CannedResponse = require('../models/CannedResponse');
+const Category = require('../models/Category');
+const SupportRequest = require('../models/SupportRequest');
+const { recordAudit } = require('../services/auditService');
+const { PLACEHOLDERS, unknownPlaceholders, renderCannedResponse } = require('../services/cannedResponseService');
+const { escapeRegex } = require('../utils/query');
+
+// Returns an error message for the fields that were sent, or null
+const validateCannedResponse = async ({ body, categoryId }) => {
+  if (typeof body === 'string') {
+    const unknown = unknownPlaceholders(body);
+    if (unknown.length > 0) {
+      return `Unknown placeholders: ${unknown.join(', ')}. Available: ${Object.keys(PLACEHOLDERS).join(', ')}`;
+    }
+  }
+  if (categoryId) {
+    const category = mongoose.isValidObjectId(categoryId) ? await Category.findById(categoryId) : null;
+    if (!category) {
+      return 'Category not found';
+    }
+  }
+  return null;
+};
+
+const pickCannedResponseFields = (body) => {
+  const fields = {};
+  ['title', 'body'].forEach(field => {
+    if (body[field] !== undefined) {
+      fields[field] = body[field];
+    }
+  });
+  if (body.categoryId !== undefined) {
+    fields.category = body.categoryId || null;
+  }
+  return fields;
+};
+
+const findCannedResponse = (id) => (mongoose.isValidObjectId(id) ? CannedResponse.findById(id) : null);
+
+// List canned responses, optionally searched by ?q= and narrowed to ?category= (Staff only)
+exports.getCannedResponses = async (req, res) => {
+  try {
+    const { q, category } = req.query;
+    const query = {};
+
+    if (q) {
+      const pattern = new RegExp(escapeRegex(q), 'i');
+      query.$or = [{ title: pattern }, { body: pattern }];
+    }
+
+    // Responses for the category plus the ones meant for any ticket
+    if (category) {
+      if (!mongoose.isValidObjectId(category)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid category id'
+        });
+      }
+      query.category = { $in: [category, null] };
+    }
+
+    const cannedResponses = await CannedResponse.find(query)
+      .populate('category', 'name')
+      .sort({ title: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: cannedResponses,
+      placeholders: PLACEHOLDERS
+    });
+  } catch (error) {
+    console.error('Error fetching canned responses:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch canned responses',
+      error: error.message
+    });
+  }
+};
+
+// Create a canned response (Supervisors and admins)
+exports.createCannedResponse = async (req, res) => {
+  try {
+    const invalid = await validateCannedResponse(req.body);
+    if (invalid) {
+      return res.status(400).json({ success: false, message: invalid });
+    }
+
+    const cannedResponse = await CannedResponse.create({
+      ...pickCannedResponseFields(req.body),
+      createdBy: req.user.id,
+      updatedBy: req.user.id
+    });
+    await recordAudit(req, {
+      action: 'canned_response.created',
+      target: { type: 'canned_response', id: cannedResponse._id },
+      after: cannedResponse
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Canned response created successfully',
+      data: cannedResponse
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Error creating canned response:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create canned response',
+      error: error.message
+    });
+  }
+};
+
+// Update a canned response (Supervisors and admins)
+exports.updateCannedResponse = async (req, res) => {
+  try {
+    const cannedResponse = await findCannedResponse(req.params.id);
+
+    if (!cannedResponse) {
+      return res.status(404).json({
+        success: false,
+        message: 'Canned response not found'
+      });
+    }
+
+    const invalid = await validateCannedResponse(req.body);
+    if (invalid) {
+      return res.status(400).json({ success: false, message: invalid });
+    }
+
+    const before = cannedResponse.toObject();
+    cannedResponse.set({ ...pickCannedResponseFields(req.body), updatedBy: req.user.id });
+    await cannedResponse.save();
+    await recordAudit(req, {
+      action: 'canned_response.updated',
+      target: { type: 'canned_response', id: cannedResponse._id },
+      before,
+      after: cannedResponse
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Canned response updated successfully',
+      data: cannedResponse
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Error updating canned response:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update canned response',
+      error: error.message
+    });
+  }
+};
+
+// Delete a canned response (Supervisors and admins)
+exports.deleteCannedResponse = async (req, res) => {
+  try {
+    const cannedResponse = await findCannedResponse(req.params.id);
+
+    if (!cannedResponse) {
+      return res.status(404).json({
+        success: false,
+        message: 'Canned response not found'
+      });
+    }
+
+    await cannedResponse.deleteOne();
+    await recordAudit(req, {
+      action: 'canned_response.deleted',
+      target: { type: 'canned_response', id: cannedResponse._id },
+      before: cannedResponse,
+      after: {}
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Canned response deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting canned response:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete canned response',
+      error: error.message
+    });
+  }
+};
+
+// Fill a canned response's placeholders for a ticket, ready to insert into a reply (Staff only)
+exports.renderCannedResponseForTicket = async (req, res) => {
+  try {
+    const { ticketId } = req.query;
+    const [cannedResponse, supportRequest] = await Promise.all([
+      findCannedResponse(req.params.id),
+      mongoose.isValidObjectId(ticketId)
+        ? SupportRequest.findById(ticketId).populate('userId', 'name email').populate('category', 'name')
+        : null
+    ]);
+
+    if (!cannedResponse) {
+      return res.status(404).json({
+        success: false,
+        message: 'Canned response not found'
+      });
+    }
+    if (!supportRequest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Support request not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        cannedResponseId: cannedResponse._id,
+        ticketId: supportRequest._id,
+        body: renderCannedResponse(cannedResponse, supportRequest, req.user)
+      }
+    });
+  } catch (error) {
+    console.error('Error rendering canned response:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to render canned response',
+      error: error.message
+    });
+  }
+};
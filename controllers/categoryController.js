@@ -0,0 +1,169 @@
+// controllers/categoryController.js
+const mongoose = require('mongoose');
+const Category = require('../models/Category');
+const Queue = require('../models/Queue');
+const SupportRequest = require('../models/SupportRequest');
+const CannedResponse = require('../models/CannedResponse');
+const { can } = require('../config/permissions');
+const { recordAudit } = require('../services/auditService');
+
+const pickCategoryFields = (body) => {
+  const fields = {};
+  ['name', 'description', 'active', 'position'].forEach(field => {
+    if (body[field] !== undefined) {
+      fields[field] = body[field];
+    }
+  });
+  return fields;
+};
+
+// The routing queue must exist; null clears it
+const resolveQueue = async (queueId) => {
+  if (queueId === null) {
+    return { queue: null };
+  }
+  const queue = mongoose.isValidObjectId(queueId) ? await Queue.findById(queueId) : null;
+  return queue ? { queue: queue._id } : { error: 'Queue not found' };
+};
+
+const findCategory = (id) => (mongoose.isValidObjectId(id) ? Category.findById(id) : null);
+
+// List categories for the submission form (Public). Managers can add ?includeInactive=true
+exports.getCategories = async (req, res) => {
+  try {
+    const includeInactive = req.query.includeInactive === 'true' && can(req.user, 'category:manage');
+    const categories = await Category.find(includeInactive ? {} : { active: true })
+      .sort({ position: 1, name: 1 });
+
+    res.status(200).json({
+      success: true,
+      // Routing is an internal detail
+      data: categories.map(category => (includeInactive
+        ? category
+        : { _id: category._id, name: category.name, description: category.description }))
+    });
+  } catch (error) {
+    console.error('Error fetching categories:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch categories',
+      error: error.message
+    });
+  }
+};
+
+// Create a category (Admins)
+exports.createCategory = async (req, res) => {
+  try {
+    const fields = pickCategoryFields(req.body);
+
+    if (req.body.queueId !== undefined) {
+      const { queue, error } = await resolveQueue(req.body.queueId);
+      if (error) {
+        return res.status(400).json({ success: false, message: error });
+      }
+      fields.queue = queue;
+    }
+
+    const category = await Category.create(fields);
+    await recordAudit(req, { action: 'category.created', target: { type: 'category', id: category._id }, after: category });
+
+    res.status(201).json({
+      success: true,
+      message: 'Category created successfully',
+      data: category
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.name === 'CastError' || error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: error.code === 11000 ? 'A category with this name already exists' : error.message
+      });
+    }
+    console.error('Error creating category:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create category',
+      error: error.message
+    });
+  }
+};
+
+// Update a category; deactivate it to retire it without touching old tickets (Admins)
+exports.updateCategory = async (req, res) => {
+  try {
+    const category = await findCategory(req.params.id);
+
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
+
+    const before = category.toObject();
+    const fields = pickCategoryFields(req.body);
+
+    if (req.body.queueId !== undefined) {
+      const { queue, error } = await resolveQueue(req.body.queueId);
+      if (error) {
+        return res.status(400).json({ success: false, message: error });
+      }
+      fields.queue = queue;
+    }
+
+    category.set(fields);
+    await category.save();
+    await recordAudit(req, { action: 'category.updated', target: { type: 'category', id: category._id }, before, after: category });
+
+    res.status(200).json({
+      success: true,
+      message: 'Category updated successfully',
+      data: category
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.name === 'CastError' || error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: error.code === 11000 ? 'A category with this name already exists' : error.message
+      });
+    }
+    console.error('Error updating category:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update category',
+      error: error.message
+    });
+  }
+};
+
+// Delete a category; its tickets and canned responses stay, without a category (Admins)
+exports.deleteCategory = async (req, res) => {
+  try {
+    const category = await findCategory(req.params.id);
+
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
+
+    await SupportRequest.updateMany({ category: category._id }, { category: null });
+    await CannedResponse.updateMany({ category: category._id }, { category: null });
+    await category.deleteOne();
+    await recordAudit(req, { action: 'category.deleted', target: { type: 'category', id: category._id }, before: category, after: {} });
+
+    res.status(200).json({
+      success: true,
+      message: 'Category deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting category:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete category',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,153 @@
+// controllers/guestTicketController.js
+const multer = require('multer');
+const SupportRequest = require('../models/SupportRequest');
+const TicketMessage = require('../models/TicketMessage');
+const { addMessage, messageBodyError } = require('../services/ticketMessageService');
+const { recordAudit } = require('../services/auditService');
+const { sendGuestLinkEmail } = require('../services/guestAccessService');
+const { upload } = require('../middleware/uploadMiddleware');
+const { storeAttachments, removeAttachments } = require('../services/attachmentService');
+
+// Only the most recently updated tickets get a new link, to keep the email burst small
+const MAX_LINKS_PER_REQUEST = 10;
+
+// What a guest may see of their ticket: no assignment or SLA internals
+const formatGuestTicket = (supportRequest) => ({
+  _id: supportRequest._id,
+  subject: supportRequest.subject,
+  description: supportRequest.description,
+  email: supportRequest.email,
+  phoneNumber: supportRequest.phoneNumber,
+  status: supportRequest.status,
+  priority: supportRequest.priority,
+  attachments: supportRequest.attachments,
+  mergedInto: supportRequest.mergedInto,
+  createdAt: supportRequest.createdAt,
+  updatedAt: supportRequest.updatedAt
+});
+
+// Get the ticket a magic link points to, with its public thread
+exports.getGuestTicket = async (req, res) => {
+  try {
+    const supportRequest = req.guestTicket;
+    const messages = await TicketMessage.find({ ticketId: supportRequest._id, visibility: 'public' })
+      .sort({ createdAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ticket: formatGuestTicket(supportRequest),
+        messages
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching guest ticket:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch support request',
+      error: error.message
+    });
+  }
+};
+
+// Reply to the ticket a magic link points to, as the requester
+exports.createGuestReply = async (req, res) => {
+  upload(req, res, async function (err) {
+    if (err instanceof multer.MulterError) {
+      return res.status(400).json({
+        success: false,
+        message: 'File upload error: ' + err.message
+      });
+    } else if (err) {
+      return res.status(err.status || 400).json({
+        success: false,
+        message: err.message
+      });
+    }
+
+    let attachments = [];
+
+    try {
+      const { body } = req.body;
+      const supportRequest = req.guestTicket;
+
+      const bodyError = messageBodyError(body);
+      if (bodyError) {
+        return res.status(400).json({
+          success: false,
+          message: bodyError
+        });
+      }
+
+      attachments = await storeAttachments(req.files);
+      const { message, statusChange } = await addMessage(supportRequest, {
+        author: { email: supportRequest.email },
+        authorType: 'customer',
+        body,
+        attachments
+      });
+
+      await recordAudit(req, {
+        action: 'ticket.reply_added',
+        target: { type: 'ticket', id: supportRequest._id },
+        changes: statusChange ? { status: statusChange } : undefined,
+        metadata: { messageId: message._id, authorType: 'customer', guest: supportRequest.email, attachments: attachments.length }
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Reply posted successfully',
+        data: {
+          message,
+          ticketStatus: supportRequest.status
+        }
+      });
+    } catch (error) {
+      await removeAttachments(attachments);
+      console.error('Error creating guest reply:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to post message',
+        error: error.message
+      });
+    }
+  });
+};
+
+// Email fresh magic links for a guest's open tickets (same answer whether or not any exist)
+exports.requestGuestLinks = async (req, res) => {
+  try {
+    const email = String(req.body.email || '').trim().toLowerCase();
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is required'
+      });
+    }
+
+    const supportRequests = await SupportRequest.find({
+      email,
+      userId: null,
+      status: { $in: ['pending', 'in-progress', 'resolved'] }
+    })
+      .sort({ updatedAt: -1 })
+      .limit(MAX_LINKS_PER_REQUEST);
+
+    for (const supportRequest of supportRequests) {
+      await sendGuestLinkEmail(supportRequest);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'If there are open requests for that email, we have sent a link to each of them'
+    });
+  } catch (error) {
+    console.error('Error sending guest links:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send ticket links',
+      error: error.message
+    });
+  }
+};
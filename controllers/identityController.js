@@ -0,0 +1,167 @@
+const Identity = require('../models/Identity');
+const User = require('../models/User');
+const oidcProviders = require('../config/oidcProviders');
+const {
+  isKnownProvider,
+  verifyProviderCredential,
+  linkIdentity,
+  countLoginMethods,
+  reauthenticate
+} = require('../services/identityService');
+const { recordAudit } = require('../services/auditService');
+
+const providerParam = (req) => req.params.provider.toLowerCase();
+
+// @desc    List the sign-in providers this server accepts
+// @route   GET /api/auth/providers
+// @access  Public
+const getProviders = (req, res) => {
+  const providers = Object.entries(oidcProviders).map(([name, config]) => ({
+    name,
+    label: config.label,
+    issuer: config.issuer,
+    clientId: config.clientId,
+    scope: config.scope
+  }));
+
+  if (process.env.GOOGLE_CLIENT_ID) {
+    providers.unshift({ name: 'google', label: 'Google', clientId: process.env.GOOGLE_CLIENT_ID });
+  }
+
+  res.json({
+    success: true,
+    data: providers
+  });
+};
+
+// @desc    List the login methods of the current user
+// @route   GET /api/auth/identities
+// @access  Private
+const getIdentities = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    const identities = await Identity.find({ userId: req.user.id }).sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      data: {
+        hasPassword: Boolean(user.password),
+        identities: identities.map(identity => ({
+          id: identity._id,
+          provider: identity.provider,
+          email: identity.email,
+          linkedAt: identity.createdAt,
+          lastLoginAt: identity.lastLoginAt
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Get identities error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching linked accounts'
+    });
+  }
+};
+
+// @desc    Link a provider to the current user (requires re-authentication)
+// @route   POST /api/auth/identities/:provider
+// @access  Private
+const linkProvider = async (req, res) => {
+  try {
+    const provider = providerParam(req);
+
+    if (!isKnownProvider(provider)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Unknown identity provider'
+      });
+    }
+
+    const user = await User.findById(req.user.id);
+    await reauthenticate(user, req.body, req.user.sessionId);
+
+    const profile = await verifyProviderCredential(provider, req.body);
+    const identity = await linkIdentity(user, provider, profile);
+    await recordAudit(req, {
+      action: 'auth.identity_linked',
+      target: { type: 'user', id: user._id },
+      metadata: { provider, identityId: identity._id }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Account linked successfully',
+      data: {
+        id: identity._id,
+        provider: identity.provider,
+        email: identity.email,
+        linkedAt: identity.createdAt
+      }
+    });
+  } catch (error) {
+    console.error('Link identity error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Error linking account'
+    });
+  }
+};
+
+// @desc    Unlink a provider from the current user (requires re-authentication)
+// @route   DELETE /api/auth/identities/:provider
+// @access  Private
+const unlinkProvider = async (req, res) => {
+  try {
+    const provider = providerParam(req);
+    const user = await User.findById(req.user.id);
+    const identity = await Identity.findOne({ userId: user._id, provider });
+
+    if (!identity) {
+      return res.status(404).json({
+        success: false,
+        message: 'This provider is not linked to your account'
+      });
+    }
+
+    await reauthenticate(user, req.body, req.user.sessionId);
+
+    // Never leave an account without a way to sign in
+    if (await countLoginMethods(user) <= 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot remove your last login method. Set a password or link another provider first',
+        code: 'LAST_LOGIN_METHOD'
+      });
+    }
+
+    await identity.deleteOne();
+    if (provider === 'google' && user.googleId === identity.subject) {
+      user.googleId = undefined;
+      await user.save();
+    }
+    await recordAudit(req, {
+      action: 'auth.identity_unlinked',
+      target: { type: 'user', id: user._id },
+      metadata: { provider, identityId: identity._id }
+    });
+
+    res.json({
+      success: true,
+      message: 'Account unlinked successfully'
+    });
+  } catch (error) {
+    console.error('Unlink identity error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Error unlinking account'
+    });
+  }
+};
+
+module.exports = {
+  getProviders,
+  getIdentities,
+  linkProvider,
+  unlinkProvider
+};
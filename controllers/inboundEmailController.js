@@ -0,0 +1,40 @@
+// controllers/inboundEmailController.js
+const { ingestEmail } = require('../services/inboundEmailService');
+
+// Ingest a raw RFC 822 message posted by the inbound mail relay
+exports.ingestInboundEmail = async (req, res) => {
+  try {
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Post the raw message as the request body (Content-Type: message/rfc822)'
+      });
+    }
+
+    const result = await ingestEmail(req.body, { req });
+
+    res.status(result.outcome === 'created' ? 201 : 200).json({
+      success: true,
+      message: {
+        created: 'Support request created from email',
+        replied: 'Email added to the existing support request',
+        duplicate: 'This message was already received',
+        ignored: 'Automatic reply ignored'
+      }[result.outcome],
+      data: result
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Error ingesting inbound email:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to ingest email',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,197 @@
+// controllers/queueController.js
+const mongoose = require('mongoose');
+const Queue = require('../models/Queue');
+const SupportRequest = require('../models/SupportRequest');
+const Category = require('../models/Category');
+const User = require('../models/User');
+const { recordAudit } = require('../services/auditService');
+const { isAssignable, OPEN_STATUSES } = require('../services/assignmentService');
+
+// Validate member ids: every member must be an active staff account
+const resolveMembers = async (memberIds) => {
+  if (!Array.isArray(memberIds) || memberIds.some(id => !mongoose.isValidObjectId(id))) {
+    return { error: 'members must be an array of user ids' };
+  }
+  const users = await User.find({ _id: { $in: memberIds } });
+  if (users.length !== new Set(memberIds.map(String)).size || !users.every(isAssignable)) {
+    return { error: 'Queue members must be active staff accounts' };
+  }
+  return { members: [...new Set(memberIds.map(String))] };
+};
+
+// Only one queue can be the default
+const clearOtherDefaults = (queueId) => {
+  return Queue.updateMany({ _id: { $ne: queueId }, isDefault: true }, { isDefault: false });
+};
+
+const pickQueueFields = (body) => {
+  const fields = {};
+  ['name', 'description', 'isDefault'].forEach(field => {
+    if (body[field] !== undefined) {
+      fields[field] = body[field];
+    }
+  });
+  if (body.autoAssign !== undefined) {
+    fields.autoAssign = body.autoAssign;
+  }
+  return fields;
+};
+
+// List queues with their open ticket counts (Staff only)
+exports.getQueues = async (req, res) => {
+  try {
+    const queues = await Queue.find().populate('members', 'name email').sort({ name: 1 });
+    const counts = await SupportRequest.aggregate([
+      { $match: { queue: { $in: queues.map(queue => queue._id) }, status: { $in: OPEN_STATUSES } } },
+      {
+        $group: {
+          _id: '$queue',
+          open: { $sum: 1 },
+          unassigned: { $sum: { $cond: [{ $ifNull: ['$assignee', false] }, 0, 1] } }
+        }
+      }
+    ]);
+    const countsByQueue = new Map(counts.map(count => [String(count._id), count]));
+
+    res.status(200).json({
+      success: true,
+      data: queues.map(queue => {
+        const count = countsByQueue.get(String(queue._id));
+        return {
+          ...queue.toObject(),
+          openTickets: count ? count.open : 0,
+          unassignedTickets: count ? count.unassigned : 0
+        };
+      })
+    });
+  } catch (error) {
+    console.error('Error fetching queues:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch queues',
+      error: error.message
+    });
+  }
+};
+
+// Create a queue (Supervisors and admins)
+exports.createQueue = async (req, res) => {
+  try {
+    const fields = pickQueueFields(req.body);
+
+    if (req.body.members !== undefined) {
+      const { members, error } = await resolveMembers(req.body.members);
+      if (error) {
+        return res.status(400).json({ success: false, message: error });
+      }
+      fields.members = members;
+    }
+
+    const queue = await Queue.create(fields);
+    if (queue.isDefault) {
+      await clearOtherDefaults(queue._id);
+    }
+    await recordAudit(req, { action: 'queue.created', target: { type: 'queue', id: queue._id }, after: queue });
+
+    res.status(201).json({
+      success: true,
+      message: 'Queue created successfully',
+      data: queue
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: error.code === 11000 ? 'A queue with this name already exists' : error.message
+      });
+    }
+    console.error('Error creating queue:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create queue',
+      error: error.message
+    });
+  }
+};
+
+// Update a queue (Supervisors and admins)
+exports.updateQueue = async (req, res) => {
+  try {
+    const queue = mongoose.isValidObjectId(req.params.id) ? await Queue.findById(req.params.id) : null;
+
+    if (!queue) {
+      return res.status(404).json({
+        success: false,
+        message: 'Queue not found'
+      });
+    }
+
+    const before = queue.toObject();
+    const fields = pickQueueFields(req.body);
+
+    if (req.body.members !== undefined) {
+      const { members, error } = await resolveMembers(req.body.members);
+      if (error) {
+        return res.status(400).json({ success: false, message: error });
+      }
+      fields.members = members;
+    }
+
+    queue.set(fields);
+    await queue.save();
+    if (queue.isDefault) {
+      await clearOtherDefaults(queue._id);
+    }
+    await recordAudit(req, { action: 'queue.updated', target: { type: 'queue', id: queue._id }, before, after: queue });
+
+    res.status(200).json({
+      success: true,
+      message: 'Queue updated successfully',
+      data: queue
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: error.code === 11000 ? 'A queue with this name already exists' : error.message
+      });
+    }
+    console.error('Error updating queue:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update queue',
+      error: error.message
+    });
+  }
+};
+
+// Delete a queue; its tickets stay, without a queue, and its categories route to the default queue (Supervisors and admins)
+exports.deleteQueue = async (req, res) => {
+  try {
+    const queue = mongoose.isValidObjectId(req.params.id) ? await Queue.findById(req.params.id) : null;
+
+    if (!queue) {
+      return res.status(404).json({
+        success: false,
+        message: 'Queue not found'
+      });
+    }
+
+    await SupportRequest.updateMany({ queue: queue._id }, { queue: null });
+    await Category.updateMany({ queue: queue._id }, { queue: null });
+    await queue.deleteOne();
+    await recordAudit(req, { action: 'queue.deleted', target: { type: 'queue', id: queue._id }, before: queue, after: {} });
+
+    res.status(200).json({
+      success: true,
+      message: 'Queue deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting queue:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete queue',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,148 @@
+const {
+  volumeReport,
+  backlogReport,
+  responseTimeReport,
+  assigneeReport,
+  categoryReport
+} = require('../services/reportService');
+const { toCsv } = require('../utils/csv');
+
+// ?format=csv (or Accept: text/csv) downloads the rows; JSON otherwise
+const sendReport = (req, res, name, report) => {
+  const format = req.query.format || (req.accepts(['application/json', 'text/csv']) === 'text/csv' ? 'csv' : 'json');
+
+  if (format === 'csv') {
+    const date = new Date().toISOString().slice(0, 10);
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${name}-${date}.csv"`);
+    return res.send(toCsv(report.columns, report.rows));
+  }
+
+  res.json({
+    success: true,
+    data: report.rows,
+    columns: report.columns,
+    meta: report.meta
+  });
+};
+
+const invalidFormat = (req, res) => {
+  if (req.query.format && !['json', 'csv'].includes(req.query.format)) {
+    res.status(400).json({
+      success: false,
+      message: 'format must be json or csv'
+    });
+    return true;
+  }
+  return false;
+};
+
+// @desc    Tickets created and resolved per day or week
+// @route   GET /api/admin/reports/volume?from=&to=&interval=day|week&tz=&format=json|csv
+// @access  Private/Supervisor
+const getVolumeReport = async (req, res) => {
+  try {
+    if (invalidFormat(req, res)) {
+      return;
+    }
+    sendReport(req, res, 'ticket-volume', await volumeReport(req.query));
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    console.error('Volume report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error building volume report'
+    });
+  }
+};
+
+// @desc    Current open tickets by status and priority
+// @route   GET /api/admin/reports/backlog?format=json|csv
+// @access  Private/Supervisor
+const getBacklogReport = async (req, res) => {
+  try {
+    if (invalidFormat(req, res)) {
+      return;
+    }
+    sendReport(req, res, 'ticket-backlog', await backlogReport());
+  } catch (error) {
+    console.error('Backlog report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error building backlog report'
+    });
+  }
+};
+
+// @desc    Median first-response and resolution times by priority
+// @route   GET /api/admin/reports/response-times?from=&to=&format=json|csv
+// @access  Private/Supervisor
+const getResponseTimeReport = async (req, res) => {
+  try {
+    if (invalidFormat(req, res)) {
+      return;
+    }
+    sendReport(req, res, 'response-times', await responseTimeReport(req.query));
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    console.error('Response time report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error building response time report'
+    });
+  }
+};
+
+// @desc    Per-assignee throughput: assigned, resolved, resolution time and open load
+// @route   GET /api/admin/reports/assignees?from=&to=&format=json|csv
+// @access  Private/Supervisor
+const getAssigneeReport = async (req, res) => {
+  try {
+    if (invalidFormat(req, res)) {
+      return;
+    }
+    sendReport(req, res, 'assignee-throughput', await assigneeReport(req.query));
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    console.error('Assignee report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error building assignee report'
+    });
+  }
+};
+
+// @desc    Per-category volume, resolution time and open tickets
+// @route   GET /api/admin/reports/categories?from=&to=&format=json|csv
+// @access  Private/Supervisor
+const getCategoryReport = async (req, res) => {
+  try {
+    if (invalidFormat(req, res)) {
+      return;
+    }
+    sendReport(req, res, 'ticket-categories', await categoryReport(req.query));
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    console.error('Category report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error building category report'
+    });
+  }
+};
+
+module.exports = {
+  getVolumeReport,
+  getBacklogReport,
+  getResponseTimeReport,
+  getAssigneeReport,
+  getCategoryReport
+};
@@ -0,0 +1,229 @@
+const mongoose = require('mongoose');
+const SlaPolicy = require('../models/SlaPolicy');
+const User = require('../models/User');
+const Queue = require('../models/Queue');
+const {
+  PRIORITIES,
+  getCalendar,
+  setCalendar,
+  getPolicy,
+  getPolicies,
+  runSlaCheck
+} = require('../services/slaService');
+const { isAssignable } = require('../services/assignmentService');
+const { recordAudit } = require('../services/auditService');
+const { validateCalendar } = require('../utils/businessTime');
+
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+
+// @desc    Get the SLA policy for every priority (defaults where none is stored)
+// @route   GET /api/admin/sla/policies
+// @access  Private/Supervisor
+const getSlaPolicies = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await getPolicies()
+    });
+  } catch (error) {
+    console.error('Get SLA policies error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching SLA policies'
+    });
+  }
+};
+
+// @desc    Create or replace the SLA policy for a priority
+// @route   PUT /api/admin/sla/policies/:priority
+// @access  Private/Supervisor
+const updateSlaPolicy = async (req, res) => {
+  try {
+    const { priority } = req.params;
+    const { firstResponseMinutes, resolutionMinutes, businessHoursOnly = false, escalation = {} } = req.body;
+
+    if (!PRIORITIES.includes(priority)) {
+      return res.status(404).json({
+        success: false,
+        message: `Priority must be one of: ${PRIORITIES.join(', ')}`
+      });
+    }
+
+    if (!isPositiveInteger(firstResponseMinutes) || !isPositiveInteger(resolutionMinutes)) {
+      return res.status(400).json({
+        success: false,
+        message: 'firstResponseMinutes and resolutionMinutes must be positive whole numbers'
+      });
+    }
+
+    if (!escalation || typeof escalation !== 'object' || Array.isArray(escalation)) {
+      return res.status(400).json({
+        success: false,
+        message: 'escalation must be an object'
+      });
+    }
+
+    if (escalation.reassignTo && escalation.reassignQueue) {
+      return res.status(400).json({
+        success: false,
+        message: 'Escalate to an agent or a queue, not both'
+      });
+    }
+
+    if (escalation.reassignTo) {
+      const agent = mongoose.isValidObjectId(escalation.reassignTo) ? await User.findById(escalation.reassignTo) : null;
+      if (!isAssignable(agent)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Escalations can only be assigned to active staff members'
+        });
+      }
+    }
+
+    if (escalation.reassignQueue) {
+      const queue = mongoose.isValidObjectId(escalation.reassignQueue) ? await Queue.findById(escalation.reassignQueue) : null;
+      if (!queue) {
+        return res.status(400).json({
+          success: false,
+          message: 'Escalation queue not found'
+        });
+      }
+    }
+
+    const previous = await getPolicy(priority);
+    const policy = await SlaPolicy.findOneAndUpdate(
+      { priority },
+      {
+        firstResponseMinutes,
+        resolutionMinutes,
+        businessHoursOnly: Boolean(businessHoursOnly),
+        escalation: {
+          bumpPriority: escalation.bumpPriority !== false,
+          reassignTo: escalation.reassignTo || null,
+          reassignQueue: escalation.reassignQueue || null
+        },
+        updatedBy: req.user.id
+      },
+      { new: true, upsert: true, runValidators: true }
+    );
+
+    await recordAudit(req, {
+      action: 'sla.policy_updated',
+      target: { type: 'sla-policy', id: priority },
+      before: {
+        firstResponseMinutes: previous.firstResponseMinutes,
+        resolutionMinutes: previous.resolutionMinutes,
+        businessHoursOnly: previous.businessHoursOnly
+      },
+      after: {
+        firstResponseMinutes: policy.firstResponseMinutes,
+        resolutionMinutes: policy.resolutionMinutes,
+        businessHoursOnly: policy.businessHoursOnly
+      }
+    });
+
+    res.json({
+      success: true,
+      message: 'SLA policy updated. New targets apply to tickets created or re-prioritised from now on',
+      data: policy
+    });
+  } catch (error) {
+    console.error('Update SLA policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating SLA policy'
+    });
+  }
+};
+
+// @desc    Get the business-hours calendar used by SLA policies
+// @route   GET /api/admin/sla/calendar
+// @access  Private/Supervisor
+const getSlaCalendar = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await getCalendar()
+    });
+  } catch (error) {
+    console.error('Get SLA calendar error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching SLA calendar'
+    });
+  }
+};
+
+// @desc    Replace the business-hours calendar (timezone, working hours, holidays)
+// @route   PUT /api/admin/sla/calendar
+// @access  Private/Supervisor
+const updateSlaCalendar = async (req, res) => {
+  try {
+    const { timezone = 'UTC', workingHours, holidays = [] } = req.body;
+
+    if (!Array.isArray(holidays)) {
+      return res.status(400).json({
+        success: false,
+        message: 'holidays must be an array of YYYY-MM-DD dates'
+      });
+    }
+
+    const calendar = { timezone, workingHours, holidays: [...new Set(holidays)].sort() };
+
+    const problem = validateCalendar(calendar);
+    if (problem) {
+      return res.status(400).json({
+        success: false,
+        message: problem
+      });
+    }
+
+    const previous = await getCalendar();
+    await setCalendar(calendar, req.user.id);
+    await recordAudit(req, {
+      action: 'settings.sla_calendar_updated',
+      target: { type: 'setting', id: 'sla.calendar' },
+      before: previous,
+      after: calendar
+    });
+
+    res.json({
+      success: true,
+      message: 'SLA calendar updated',
+      data: calendar
+    });
+  } catch (error) {
+    console.error('Update SLA calendar error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating SLA calendar'
+    });
+  }
+};
+
+// @desc    Run the breach check now (for external cron on serverless deployments)
+// @route   POST /api/admin/sla/run
+// @access  Private/Supervisor
+const runSlaCheckNow = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      message: 'SLA check completed',
+      data: await runSlaCheck()
+    });
+  } catch (error) {
+    console.error('Run SLA check error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error running SLA check'
+    });
+  }
+};
+
+module.exports = {
+  getSlaPolicies,
+  updateSlaPolicy,
+  getSlaCalendar,
+  updateSlaCalendar,
+  runSlaCheckNow
+};
@@ -1,48 +1,46 @@
 // controllers/supportController.js
 const SupportRequest = require('../models/SupportRequest');
+const Category = require('../models/Category');
+const mongoose = require('mongoose');
+const { can } = require('../config/permissions');
+const { routeTicket } = require('../services/assignmentService');
+const { recordAudit } = require('../services/auditService');
+const { applySla } = require('../services/slaService');
+const { availableTransitions } = require('../services/ticketWorkflowService');
+const {
+  updateTicket,
+  resolveAssignment,
+  assignTicket,
+  resolveClassification,
+  classifyTicket,
+  deleteTicket
+} = require('../services/ticketService');
+const { selectTickets, runBulk } = require('../services/bulkTicketService');
+const { assertMergeTarget, mergeDuplicate } = require('../services/ticketMergeService');
+const { publish } = require('../services/eventBus');
+const { resolveLocale } = require('../services/notifications/templates');
+const { buildTicketSearch } = require('../services/ticketSearch');
+const { sortObject, encodeCursor } = require('../utils/cursor');
 const multer = require('multer');
-const path = require('path');
-const fs = require('fs');
-
-// Configure multer for file uploads
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    const uploadDir = 'uploads/support';
-    // Create directory if it doesn't exist
-    if (!fs.existsSync(uploadDir)) {
-      fs.mkdirSync(uploadDir, { recursive: true });
-    }
-    cb(null, uploadDir);
-  },
-  filename: function (req, file, cb) {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, 'support-' + uniqueSuffix + path.extname(file.originalname));
-  }
-});
-
-const fileFilter = (req, file, cb) => {
-  // Allowed file types
-  const allowedTypes = /jpeg|jpg|png|gif|pdf|doc|docx|txt/;
-  const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
-  const mimetype = allowedTypes.test(file.mimetype);
-
-  if (extname && mimetype) {
-    return cb(null, true);
-  } else {
-    cb(new Error('Only images, PDFs, and documents are allowed!'));
-  }
-};
+const { upload } = require('../middleware/uploadMiddleware');
+const { storeAttachments, removeAttachments } = require('../services/attachmentService');
+const { canReadTicket, isTicketOwner } = require('../utils/ticketAccess');
+const { normalizeTag } = require('../utils/tags');
+const { escapeRegex } = require('../utils/query');
 
-const upload = multer({
-  storage: storage,
-  limits: {
-    fileSize: 5 * 1024 * 1024 // 5MB limit
-  },
-  fileFilter: fileFilter
-}).array('attachments', 5); // Max 5 files
+// Duplicates folded into one ticket per merge request
+const MAX_MERGE_TICKETS = 50;
 
 // Create support request
 exports.createSupportRequest = async (req, res) => {
+  // Anonymous submissions are fine, but a signed-in caller (e.g. a read-only API key) needs the scope
+  if (req.user && !can(req.user, 'ticket:create')) {
+    return res.status(403).json({
+      success: false,
+      message: 'You do not have permission to perform this action'
+    });
+  }
+
   upload(req, res, async function (err) {
     if (err instanceof multer.MulterError) {
       return res.status(400).json({
@@ -50,18 +48,22 @@ exports.createSupportRequest = async (req, res) => {
         message: 'File upload error: ' + err.message
       });
     } else if (err) {
-      return res.status(400).json({
+      return res.status(err.status || 400).json({
         success: false,
         message: err.message
       });
     }
 
+    let attachments = [];
+
     try {
-      const { subject, description, phoneNumber, email } = req.body;
+      const { subject, description, phoneNumber, category: categoryId } = req.body;
+      // Signed-in requesters can leave the email out
+      const email = req.body.email || (req.user && req.user.email);
 
       // Debug log
       console.log('Received data:', { subject, description, phoneNumber, email });
-      console.log('Files:', req.files);
+      console.log('Files:', (req.files || []).map(file => ({ name: file.originalname, type: file.mimetype, size: file.size })));
 
       // Validate required fields
       if (!subject || !description || !email) {
@@ -73,24 +75,47 @@ exports.createSupportRequest = async (req, res) => {
         });
       }
 
+      // Optional topic from the submission form; only active categories can be picked
+      const category = categoryId && mongoose.isValidObjectId(categoryId)
+        ? await Category.findOne({ _id: categoryId, active: true }).populate('queue')
+        : null;
+      if (categoryId && !category) {
+        return res.status(400).json({
+          success: false,
+          message: 'Category not found'
+        });
+      }
+
       // Process uploaded files
-      const attachments = req.files ? req.files.map(file => ({
-        filename: file.originalname,
-        path: file.path,
-        mimetype: file.mimetype,
-        size: file.size
-      })) : [];
+      attachments = await storeAttachments(req.files);
 
       // Create support request
-      const supportRequest = await SupportRequest.create({
+      const supportRequest = new SupportRequest({
         subject,
         description,
         phoneNumber: phoneNumber || '',
         email,
         attachments,
-        userId: req.user ? req.user.id : null // If user is authenticated
+        category: category ? category._id : null,
+        userId: req.user ? req.user.id : null, // If user is authenticated
+        locale: resolveLocale(req.headers['accept-language'])
+      });
+
+      // Routing problems shouldn't lose the request; it just stays unassigned.
+      // A category with its own queue routes there instead of the default queue.
+      await routeTicket(supportRequest, category && category.queue)
+        .catch(err => console.error('Ticket routing error:', err));
+      await applySla(supportRequest);
+      await supportRequest.save();
+      await recordAudit(req, {
+        action: 'ticket.created',
+        target: { type: 'ticket', id: supportRequest._id },
+        metadata: { email, subject, attachments: attachments.length }
       });
 
+      // The confirmation email; guests' copy carries their magic link
+      publish('ticket.created', { supportRequest });
+
       res.status(201).json({
         success: true,
         message: 'Support request submitted successfully',
@@ -98,6 +123,7 @@ exports.createSupportRequest = async (req, res) => {
       });
 
     } catch (error) {
+      await removeAttachments(attachments);
       console.error('Error creating support request:', error);
       res.status(500).json({
         success: false,
@@ -108,28 +134,52 @@ exports.createSupportRequest = async (req, res) => {
   });
 };
 
-// Get all support requests (Admin only)
-exports.getAllSupportRequests = async (req, res) => {
+// Shared by the ticket lists: search, filters, sort and cursor pagination
+const listSupportRequests = async (req, res, options) => {
+  let search;
   try {
-    const { status, page = 1, limit = 10 } = req.query;
-    
-    const query = status ? { status } : {};
-    
-    const supportRequests = await SupportRequest.find(query)
-      .populate('userId', 'name email')
-      .sort({ createdAt: -1 })
-      .limit(limit * 1)
-      .skip((page - 1) * limit);
+    search = buildTicketSearch(req.query, req.user, options);
+  } catch (error) {
+    if (error.status !== 400) {
+      throw error;
+    }
+    return res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
 
-    const count = await SupportRequest.countDocuments(query);
+  // Fetch one extra row to know whether another page exists
+  const supportRequests = await SupportRequest.find(search.filter)
+    .populate('userId', 'name email')
+    .populate('assignee', 'name email')
+    .populate('queue', 'name')
+    .populate('category', 'name')
+    .sort(sortObject(search.sortSpec))
+    .limit(search.limit + 1);
 
-    res.status(200).json({
-      success: true,
-      data: supportRequests,
-      totalPages: Math.ceil(count / limit),
-      currentPage: page,
-      total: count
-    });
+  const hasMore = supportRequests.length > search.limit;
+  const page = supportRequests.slice(0, search.limit);
+
+  // Counting is only done for the first page; later pages reuse the client's total
+  const total = req.query.cursor ? undefined : await SupportRequest.countDocuments(search.countFilter);
+
+  res.status(200).json({
+    success: true,
+    data: page,
+    pageInfo: {
+      limit: search.limit,
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(page[page.length - 1], search.sortSpec) : null
+    },
+    total
+  });
+};
+
+// Get support requests (all for staff, own for users)
+exports.getAllSupportRequests = async (req, res) => {
+  try {
+    await listSupportRequests(req, res);
   } catch (error) {
     console.error('Error fetching support requests:', error);
     res.status(500).json({
@@ -140,13 +190,31 @@ exports.getAllSupportRequests = async (req, res) => {
   }
 };
 
+// Get the support requests the current user submitted (the "My tickets" portal)
+exports.getMySupportRequests = async (req, res) => {
+  try {
+    await listSupportRequests(req, res, { ownOnly: true });
+  } catch (error) {
+    console.error('Error fetching my support requests:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch your support requests',
+      error: error.message
+    });
+  }
+};
+
 // Get single support request
 exports.getSupportRequest = async (req, res) => {
   try {
     const supportRequest = await SupportRequest.findById(req.params.id)
-      .populate('userId', 'name email');
+      .populate('userId', 'name email')
+      .populate('assignee', 'name email')
+      .populate('queue', 'name')
+      .populate('category', 'name');
 
-    if (!supportRequest) {
+    // Hide other people's requests as if they didn't exist
+    if (!supportRequest || !canReadTicket(req.user, supportRequest)) {
       return res.status(404).json({
         success: false,
         message: 'Support request not found'
@@ -167,16 +235,19 @@ exports.getSupportRequest = async (req, res) => {
   }
 };
 
-// Update support request status (Admin only)
+// Update support request status (Staff only)
 exports.updateSupportRequestStatus = async (req, res) => {
   try {
-    const { status, priority } = req.body;
+    const { status, priority, resolutionNote, note } = req.body;
 
-    const supportRequest = await SupportRequest.findByIdAndUpdate(
-      req.params.id,
-      { status, priority },
-      { new: true, runValidators: true }
-    );
+    if (status === undefined && priority === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide a status and/or priority'
+      });
+    }
+
+    const supportRequest = await SupportRequest.findById(req.params.id);
 
     if (!supportRequest) {
       return res.status(404).json({
@@ -185,6 +256,19 @@ exports.updateSupportRequestStatus = async (req, res) => {
       });
     }
 
+    try {
+      await updateTicket(supportRequest, { status, priority, resolutionNote, note }, req);
+    } catch (error) {
+      if (!error.status) {
+        throw error;
+      }
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        code: error.code
+      });
+    }
+
     res.status(200).json({
       success: true,
       message: 'Support request updated successfully',
@@ -200,28 +284,52 @@ exports.updateSupportRequestStatus = async (req, res) => {
   }
 };
 
-// Delete support request (Admin only)
-exports.deleteSupportRequest = async (req, res) => {
+// Get the status changes the current user can make to a support request
+exports.getSupportRequestTransitions = async (req, res) => {
   try {
     const supportRequest = await SupportRequest.findById(req.params.id);
 
-    if (!supportRequest) {
+    if (!supportRequest || !canReadTicket(req.user, supportRequest)) {
       return res.status(404).json({
         success: false,
         message: 'Support request not found'
       });
     }
 
-    // Delete associated files
-    if (supportRequest.attachments && supportRequest.attachments.length > 0) {
-      supportRequest.attachments.forEach(attachment => {
-        if (fs.existsSync(attachment.path)) {
-          fs.unlinkSync(attachment.path);
-        }
+    res.status(200).json({
+      success: true,
+      data: {
+        status: supportRequest.status,
+        transitions: availableTransitions(supportRequest, {
+          user: req.user,
+          requester: isTicketOwner(req.user, supportRequest)
+        })
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching support request transitions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch transitions',
+      error: error.message
+    });
+  }
+};
+
+// Delete support request (Supervisors and admins)
+exports.deleteSupportRequest = async (req, res) => {
+  try {
+    const supportRequest = await SupportRequest.findById(req.params.id);
+
+    if (!supportRequest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Support request not found'
       });
     }
 
-    await supportRequest.deleteOne();
+    // Also deletes the thread and every stored file, including those attached to messages
+    await deleteTicket(supportRequest, req);
 
     res.status(200).json({
       success: true,
@@ -235,4 +343,323 @@ exports.deleteSupportRequest = async (req, res) => {
       error: error.message
     });
   }
-};
\ No newline at end of file
+};
+
+// Assign a support request to an agent and/or queue (Staff only)
+exports.assignSupportRequest = async (req, res) => {
+  try {
+    const { assigneeId, queueId } = req.body;
+
+    if (assigneeId === undefined && queueId === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide assigneeId and/or queueId (null to clear)'
+      });
+    }
+
+    const supportRequest = await SupportRequest.findById(req.params.id);
+
+    if (!supportRequest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Support request not found'
+      });
+    }
+
+    let assignment;
+    try {
+      assignment = await resolveAssignment({ assigneeId, queueId });
+    } catch (error) {
+      if (error.status !== 400) {
+        throw error;
+      }
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    await assignTicket(supportRequest, assignment, req);
+
+    await supportRequest.populate([
+      { path: 'assignee', select: 'name email' },
+      { path: 'queue', select: 'name' }
+    ]);
+
+    res.status(200).json({
+      success: true,
+      message: 'Support request assigned successfully',
+      data: supportRequest
+    });
+  } catch (error) {
+    console.error('Error assigning support request:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to assign support request',
+      error: error.message
+    });
+  }
+};
+
+// Set a support request's category and/or tags (Staff only).
+// Body: { categoryId, tags } to replace, or { addTags, removeTags } to edit the tag list
+exports.updateSupportRequestClassification = async (req, res) => {
+  try {
+    const { categoryId, tags, addTags, removeTags } = req.body;
+
+    if ([categoryId, tags, addTags, removeTags].every(value => value === undefined)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide categoryId, tags, addTags and/or removeTags'
+      });
+    }
+
+    const supportRequest = mongoose.isValidObjectId(req.params.id) ? await SupportRequest.findById(req.params.id) : null;
+
+    if (!supportRequest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Support request not found'
+      });
+    }
+
+    try {
+      const classification = await resolveClassification({ categoryId, tags, addTags, removeTags });
+      await classifyTicket(supportRequest, classification, req);
+    } catch (error) {
+      if (error.status !== 400) {
+        throw error;
+      }
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    await supportRequest.populate('category', 'name');
+
+    res.status(200).json({
+      success: true,
+      message: 'Support request classification updated',
+      data: supportRequest
+    });
+  } catch (error) {
+    console.error('Error classifying support request:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update support request classification',
+      error: error.message
+    });
+  }
+};
+
+// Tags in use, most used first, for autocompletion (Staff only). ?prefix= narrows the list
+exports.getSupportRequestTags = async (req, res) => {
+  try {
+    const prefix = req.query.prefix ? normalizeTag(req.query.prefix) : '';
+    const tags = await SupportRequest.aggregate([
+      { $match: prefix ? { tags: { $regex: `^${escapeRegex(prefix)}` } } : { 'tags.0': { $exists: true } } },
+      { $unwind: '$tags' },
+      ...(prefix ? [{ $match: { tags: { $regex: `^${escapeRegex(prefix)}` } } }] : []),
+      { $group: { _id: '$tags', count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $limit: 50 }
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: tags.map(tag => ({ tag: tag._id, count: tag.count }))
+    });
+  } catch (error) {
+    console.error('Error fetching support request tags:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch tags',
+      error: error.message
+    });
+  }
+};
+
+// Update status, priority, assignment and/or category and tags on many tickets at once (Staff only).
+// Body: { ids: [...] } or { filter: { ...ticket list params } }, plus the fields to change.
+exports.bulkUpdateSupportRequests = async (req, res) => {
+  try {
+    const {
+      status, priority, resolutionNote, note, assigneeId, queueId,
+      categoryId, tags, addTags, removeTags
+    } = req.body;
+    const workflowChange = status !== undefined || priority !== undefined;
+    const assignmentChange = assigneeId !== undefined || queueId !== undefined;
+    const classificationChange = [categoryId, tags, addTags, removeTags].some(value => value !== undefined);
+
+    if (!workflowChange && !assignmentChange && !classificationChange) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide a status, priority, assigneeId, queueId, categoryId, tags, addTags and/or removeTags'
+      });
+    }
+
+    if (assignmentChange && !can(req.user, 'ticket:assign')) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to assign tickets'
+      });
+    }
+
+    let selection;
+    let assignment;
+    let classification;
+    try {
+      selection = await selectTickets(req.body, req.user);
+      assignment = assignmentChange ? await resolveAssignment({ assigneeId, queueId }) : null;
+      classification = classificationChange
+        ? await resolveClassification({ categoryId, tags, addTags, removeTags })
+        : null;
+    } catch (error) {
+      if (error.status !== 400) {
+        throw error;
+      }
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    const { results, summary } = await runBulk(selection, async (supportRequest) => {
+      const changes = workflowChange
+        ? await updateTicket(supportRequest, { status, priority, resolutionNote, note }, req)
+        : {};
+      if (assignment) {
+        await assignTicket(supportRequest, assignment, req);
+      }
+      if (classification) {
+        await classifyTicket(supportRequest, classification, req);
+      }
+      return {
+        status: supportRequest.status,
+        priority: supportRequest.priority,
+        assignee: supportRequest.assignee,
+        queue: supportRequest.queue,
+        category: supportRequest.category,
+        tags: supportRequest.tags,
+        changed: Object.keys(changes).length > 0 || Boolean(assignment) || Boolean(classification)
+      };
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `${summary.succeeded} of ${summary.requested} support requests updated`,
+      data: { results, summary }
+    });
+  } catch (error) {
+    console.error('Error bulk updating support requests:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update support requests',
+      error: error.message
+    });
+  }
+};
+
+// Delete many tickets at once (Supervisors and admins). Body: { ids: [...] } or { filter: {...} }
+exports.bulkDeleteSupportRequests = async (req, res) => {
+  try {
+    let selection;
+    try {
+      selection = await selectTickets(req.body, req.user);
+    } catch (error) {
+      if (error.status !== 400) {
+        throw error;
+      }
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    const { results, summary } = await runBulk(selection, async (supportRequest) => {
+      await deleteTicket(supportRequest, req);
+      return { deleted: true };
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `${summary.succeeded} of ${summary.requested} support requests deleted`,
+      data: { results, summary }
+    });
+  } catch (error) {
+    console.error('Error bulk deleting support requests:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete support requests',
+      error: error.message
+    });
+  }
+};
+
+// Merge duplicate tickets into this one (Staff only). Body: { ticketIds: [...], note }
+exports.mergeSupportRequests = async (req, res) => {
+  try {
+    const { ticketIds, note } = req.body;
+
+    if (!Array.isArray(ticketIds) || ticketIds.length === 0 || ticketIds.length > MAX_MERGE_TICKETS ||
+      ticketIds.some(id => typeof id !== 'string' || !mongoose.isValidObjectId(id))) {
+      return res.status(400).json({
+        success: false,
+        message: `ticketIds must be an array of 1 to ${MAX_MERGE_TICKETS} ticket ids`
+      });
+    }
+
+    if (note !== undefined && typeof note !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'note must be a string'
+      });
+    }
+
+    const primary = mongoose.isValidObjectId(req.params.id) ? await SupportRequest.findById(req.params.id) : null;
+    if (!primary) {
+      return res.status(404).json({
+        success: false,
+        message: 'Support request not found'
+      });
+    }
+
+    try {
+      assertMergeTarget(primary);
+    } catch (error) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        code: error.code
+      });
+    }
+
+    const selection = await selectTickets({ ids: ticketIds }, req.user);
+
+    const { results, summary } = await runBulk(selection, duplicate =>
+      mergeDuplicate(primary, duplicate, { note: note && note.trim() }, req)
+    );
+
+    if (summary.succeeded > 0) {
+      await primary.save();
+      publish('ticket.updated', {
+        supportRequest: primary,
+        changes: { mergedFrom: results.filter(result => result.success).map(result => result.id) }
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `${summary.succeeded} of ${summary.requested} support requests merged`,
+      data: { ticket: primary, results, summary }
+    });
+  } catch (error) {
+    console.error('Error merging support requests:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to merge support requests',
+      error: error.message
+    });
+  }
+};
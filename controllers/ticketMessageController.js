@@ -0,0 +1,140 @@
+// controllers/ticketMessageController.js
+const multer = require('multer');
+const SupportRequest = require('../models/SupportRequest');
+const TicketMessage = require('../models/TicketMessage');
+const { can } = require('../config/permissions');
+const { addMessage, messageBodyError } = require('../services/ticketMessageService');
+const { recordAudit } = require('../services/auditService');
+const { upload } = require('../middleware/uploadMiddleware');
+const { storeAttachments, removeAttachments } = require('../services/attachmentService');
+const { canReadTicket, isTicketOwner } = require('../utils/ticketAccess');
+
+const isStaff = (user) => can(user, 'ticket:update');
+
+const findReadableTicket = async (req, res) => {
+  const supportRequest = await SupportRequest.findById(req.params.id);
+
+  if (!supportRequest || !canReadTicket(req.user, supportRequest)) {
+    res.status(404).json({
+      success: false,
+      message: 'Support request not found'
+    });
+    return null;
+  }
+  return supportRequest;
+};
+
+// Get the message thread of a support request (internal notes for staff only)
+exports.getTicketMessages = async (req, res) => {
+  try {
+    const supportRequest = await findReadableTicket(req, res);
+    if (!supportRequest) {
+      return;
+    }
+
+    const query = { ticketId: supportRequest._id };
+    if (!isStaff(req.user)) {
+      query.visibility = 'public';
+    }
+
+    const messages = await TicketMessage.find(query).sort({ createdAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: messages
+    });
+  } catch (error) {
+    console.error('Error fetching ticket messages:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch messages',
+      error: error.message
+    });
+  }
+};
+
+// Post a reply or internal note to a support request
+exports.createTicketMessage = async (req, res) => {
+  upload(req, res, async function (err) {
+    if (err instanceof multer.MulterError) {
+      return res.status(400).json({
+        success: false,
+        message: 'File upload error: ' + err.message
+      });
+    } else if (err) {
+      return res.status(err.status || 400).json({
+        success: false,
+        message: err.message
+      });
+    }
+
+    let attachments = [];
+
+    try {
+      const { body } = req.body;
+      const internal = req.body.internal === true || req.body.internal === 'true';
+
+      const bodyError = messageBodyError(body);
+      if (bodyError) {
+        return res.status(400).json({
+          success: false,
+          message: bodyError
+        });
+      }
+
+      const supportRequest = await findReadableTicket(req, res);
+      if (!supportRequest) {
+        return;
+      }
+
+      // The requester always replies as the customer, even if they are also staff
+      const authorType = isTicketOwner(req.user, supportRequest) ? 'customer' : 'agent';
+      if (authorType === 'agent' && !isStaff(req.user)) {
+        return res.status(403).json({
+          success: false,
+          message: 'You do not have permission to perform this action'
+        });
+      }
+
+      if (internal && authorType !== 'agent') {
+        return res.status(403).json({
+          success: false,
+          message: 'Only staff can add internal notes'
+        });
+      }
+
+      attachments = await storeAttachments(req.files);
+      const { message, statusChange } = await addMessage(supportRequest, {
+        author: { userId: req.user.id, name: req.user.name, email: req.user.email },
+        authorType,
+        visibility: internal ? 'internal' : 'public',
+        body,
+        attachments
+      });
+
+      await recordAudit(req, {
+        action: internal ? 'ticket.note_added' : 'ticket.reply_added',
+        target: { type: 'ticket', id: supportRequest._id },
+        changes: statusChange ? { status: statusChange } : undefined,
+        metadata: { messageId: message._id, authorType, attachments: attachments.length }
+      });
+
+      res.status(201).json({
+        success: true,
+        message: internal ? 'Internal note added successfully' : 'Reply posted successfully',
+        data: {
+          message,
+          ticketStatus: supportRequest.status
+        }
+      });
+    } catch (error) {
+      await removeAttachments(attachments);
+      console.error('Error creating ticket message:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to post message',
+        error: error.message
+      });
+    }
+  });
+};
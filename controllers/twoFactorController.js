@@ -0,0 +1,329 @@
+const User = require('../models/User');
+const { createSession } = require('../services/sessionService');
+const { getLoginBlock } = require('../services/accountService');
+const {
+  getRequiredRoles,
+  setRequiredRoles,
+  verifyChallengeToken,
+  generateRecoveryCodes,
+  verifySecondFactor
+} = require('../services/twoFactorService');
+const { getLockout, registerFailure, clearFailures } = require('../services/rateLimit/lockout');
+const { recordAudit } = require('../services/auditService');
+const { generateSecret, verifyCode, buildOtpauthUri } = require('../utils/totp');
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'Record';
+const ROLES = User.schema.path('role').enumValues;
+
+// @desc    Start 2FA enrolment (returns the secret and otpauth URI for the QR code)
+// @route   POST /api/auth/2fa/setup
+// @access  Private
+const setupTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (user.twoFactor && user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      data: {
+        secret,
+        otpauthUri: buildOtpauthUri({ secret, accountName: user.email, issuer: ISSUER })
+      }
+    });
+  } catch (error) {
+    console.error('2FA setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error starting two-factor setup'
+    });
+  }
+};
+
+// @desc    Confirm 2FA enrolment with a code from the authenticator app
+// @route   POST /api/auth/2fa/confirm
+// @access  Private
+const confirmTwoFactor = async (req, res) => {
+  try {
+    const { code } = req.body;
+    const user = await User.findById(req.user.id);
+
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start two-factor setup first'
+      });
+    }
+
+    const step = verifyCode(user.twoFactor.pendingSecret, code);
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid verification code'
+      });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    user.twoFactor.enabled = true;
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.recoveryCodeHashes = hashes;
+    user.twoFactor.enabledAt = new Date();
+    await user.save();
+    await recordAudit(req, { action: 'auth.2fa_enabled', target: { type: 'user', id: user._id } });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe, they are shown only once',
+      data: { recoveryCodes: codes }
+    });
+  } catch (error) {
+    console.error('2FA confirm error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error enabling two-factor authentication'
+    });
+  }
+};
+
+// @desc    Complete a login with a TOTP or recovery code
+// @route   POST /api/auth/2fa/verify
+// @access  Public
+const verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Challenge token and a code are required'
+      });
+    }
+
+    const userId = verifyChallengeToken(challengeToken);
+    const user = userId ? await User.findById(userId) : null;
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired challenge, please log in again'
+      });
+    }
+
+    // Six digit codes are guessable without a lockout
+    const lockoutKey = `2fa:${user._id}`;
+    const retryAfter = await getLockout(lockoutKey);
+    if (retryAfter > 0) {
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        success: false,
+        message: 'Too many failed attempts, please try again later',
+        retryAfter
+      });
+    }
+
+    if (!verifySecondFactor(user, { code, recoveryCode })) {
+      await registerFailure(lockoutKey);
+      await recordAudit(req, {
+        action: 'auth.login_failed',
+        actor: user,
+        target: { type: 'user', id: user._id },
+        metadata: { reason: 'wrong-2fa-code' }
+      });
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid verification code'
+      });
+    }
+    await user.save();
+    await clearFailures(lockoutKey);
+
+    // The account may have been disabled since the password step
+    const block = getLoginBlock(user);
+    if (block) {
+      return res.status(block.status).json({
+        success: false,
+        message: block.message,
+        code: block.code
+      });
+    }
+
+    const { token, refreshToken, session } = await createSession(user._id, req);
+    await recordAudit(req, {
+      action: 'auth.login',
+      actor: user,
+      target: { type: 'user', id: user._id },
+      metadata: { method: code ? 'password+totp' : 'password+recovery-code', sessionId: session._id }
+    });
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      data: {
+        user: {
+          id: user._id,
+          name: user.name,
+          email: user.email,
+          emailVerified: user.emailVerified
+        },
+        token,
+        refreshToken,
+        recoveryCodesRemaining: user.twoFactor.recoveryCodeHashes.length
+      }
+    });
+  } catch (error) {
+    console.error('2FA verify error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error verifying two-factor code'
+    });
+  }
+};
+
+// @desc    Disable 2FA (requires a current TOTP or recovery code)
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+const disableTwoFactor = async (req, res) => {
+  try {
+    const { code, recoveryCode } = req.body;
+    const user = await User.findById(req.user.id);
+
+    if (!user.twoFactor || !user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!verifySecondFactor(user, { code, recoveryCode })) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid verification code'
+      });
+    }
+
+    user.twoFactor = { enabled: false };
+    await user.save();
+    await recordAudit(req, { action: 'auth.2fa_disabled', target: { type: 'user', id: user._id } });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    console.error('2FA disable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error disabling two-factor authentication'
+    });
+  }
+};
+
+// @desc    Replace all recovery codes (requires a current TOTP code)
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private
+const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const { code } = req.body;
+    const user = await User.findById(req.user.id);
+
+    if (!verifySecondFactor(user, { code })) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid verification code'
+      });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    user.twoFactor.recoveryCodeHashes = hashes;
+    await user.save();
+    await recordAudit(req, { action: 'auth.2fa_recovery_codes_regenerated', target: { type: 'user', id: user._id } });
+
+    res.json({
+      success: true,
+      message: 'New recovery codes generated, the old ones no longer work',
+      data: { recoveryCodes: codes }
+    });
+  } catch (error) {
+    console.error('2FA recovery codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error generating recovery codes'
+    });
+  }
+};
+
+// @desc    Get the roles that must use 2FA
+// @route   GET /api/auth/2fa/policy
+// @access  Private/Admin
+const getTwoFactorPolicy = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: { requiredRoles: await getRequiredRoles() }
+    });
+  } catch (error) {
+    console.error('Get 2FA policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching two-factor policy'
+    });
+  }
+};
+
+// @desc    Set the roles that must use 2FA
+// @route   PUT /api/auth/2fa/policy
+// @access  Private/Admin
+const updateTwoFactorPolicy = async (req, res) => {
+  try {
+    const { requiredRoles } = req.body;
+
+    if (!Array.isArray(requiredRoles) || requiredRoles.some(role => !ROLES.includes(role))) {
+      return res.status(400).json({
+        success: false,
+        message: `requiredRoles must be an array of: ${ROLES.join(', ')}`
+      });
+    }
+
+    const previousRoles = await getRequiredRoles();
+    await setRequiredRoles([...new Set(requiredRoles)], req.user.id);
+    await recordAudit(req, {
+      action: 'settings.2fa_policy_updated',
+      target: { type: 'setting', id: 'twoFactor.requiredRoles' },
+      changes: { requiredRoles: { from: previousRoles, to: [...new Set(requiredRoles)] } }
+    });
+
+    res.json({
+      success: true,
+      message: 'Two-factor policy updated',
+      data: { requiredRoles: await getRequiredRoles() }
+    });
+  } catch (error) {
+    console.error('Update 2FA policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating two-factor policy'
+    });
+  }
+};
+
+module.exports = {
+  setupTwoFactor,
+  confirmTwoFactor,
+  verifyTwoFactorLogin,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  getTwoFactorPolicy,
+  updateTwoFactorPolicy
+};
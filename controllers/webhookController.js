@@ -0,0 +1,338 @@
+const mongoose = require('mongoose');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { WEBHOOK_EVENTS } = require('../config/webhooks');
+const { generateWebhookSecret } = require('../services/webhooks/signature');
+const { webhookUrlError } = require('../services/webhooks/urlGuard');
+const { redeliver } = require('../services/webhooks');
+const { recordAudit } = require('../services/auditService');
+const { parsePagination } = require('../utils/query');
+
+const DELIVERY_STATUSES = WebhookDelivery.schema.path('status').enumValues;
+
+const formatWebhook = (webhook) => ({
+  id: webhook._id,
+  url: webhook.url,
+  description: webhook.description,
+  events: webhook.events,
+  active: webhook.active,
+  createdBy: webhook.createdBy,
+  createdAt: webhook.createdAt,
+  updatedAt: webhook.updatedAt
+});
+
+// Returns an error message, or null when the fields that were sent are valid
+const validateWebhook = async ({ url, events, description, active }, { partial }) => {
+  if ((!partial || url !== undefined) && typeof url !== 'string') {
+    return 'url must be an http(s) URL';
+  }
+  if ((!partial || events !== undefined) &&
+    (!Array.isArray(events) || events.length === 0 || events.some(event => !WEBHOOK_EVENTS.includes(event)))) {
+    return `events must be a non-empty array of: ${WEBHOOK_EVENTS.join(', ')}`;
+  }
+  if (description !== undefined && description !== null && typeof description !== 'string') {
+    return 'description must be a string';
+  }
+  if (active !== undefined && typeof active !== 'boolean') {
+    return 'active must be true or false';
+  }
+  // Last, since it resolves the host
+  return url === undefined ? null : webhookUrlError(url);
+};
+
+const findWebhook = async (req, res) => {
+  const webhook = mongoose.isValidObjectId(req.params.id) ? await Webhook.findById(req.params.id) : null;
+  if (!webhook) {
+    res.status(404).json({
+      success: false,
+      message: 'Webhook not found'
+    });
+  }
+  return webhook;
+};
+
+// @desc    List webhooks
+// @route   GET /api/admin/webhooks
+// @access  Private/Admin
+const getWebhooks = async (req, res) => {
+  try {
+    const webhooks = await Webhook.find().sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: webhooks.map(formatWebhook),
+      events: WEBHOOK_EVENTS
+    });
+  } catch (error) {
+    console.error('Get webhooks error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching webhooks'
+    });
+  }
+};
+
+// @desc    Add a webhook (the signing secret is only returned here and on rotation)
+// @route   POST /api/admin/webhooks
+// @access  Private/Admin
+const createWebhook = async (req, res) => {
+  try {
+    const { url, events, description, active } = req.body;
+    const invalid = await validateWebhook(req.body, { partial: false });
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        message: invalid
+      });
+    }
+
+    const secret = generateWebhookSecret();
+    const webhook = await Webhook.create({
+      url,
+      events: [...new Set(events)],
+      description,
+      active,
+      secret,
+      createdBy: req.user.id
+    });
+    await recordAudit(req, {
+      action: 'webhook.created',
+      target: { type: 'webhook', id: webhook._id },
+      after: formatWebhook(webhook)
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Webhook created. Store the secret now, it is not shown again',
+      data: { ...formatWebhook(webhook), secret }
+    });
+  } catch (error) {
+    console.error('Create webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating webhook'
+    });
+  }
+};
+
+// @desc    Change a webhook's URL, events, description or active flag
+// @route   PATCH /api/admin/webhooks/:id
+// @access  Private/Admin
+const updateWebhook = async (req, res) => {
+  try {
+    const invalid = await validateWebhook(req.body, { partial: true });
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        message: invalid
+      });
+    }
+
+    const webhook = await findWebhook(req, res);
+    if (!webhook) {
+      return;
+    }
+
+    const before = formatWebhook(webhook);
+    const { url, events, description, active } = req.body;
+    if (url !== undefined) {
+      webhook.url = url;
+    }
+    if (events !== undefined) {
+      webhook.events = [...new Set(events)];
+    }
+    if (description !== undefined) {
+      webhook.description = description || undefined;
+    }
+    if (active !== undefined) {
+      webhook.active = active;
+    }
+    await webhook.save();
+    await recordAudit(req, {
+      action: 'webhook.updated',
+      target: { type: 'webhook', id: webhook._id },
+      before,
+      after: formatWebhook(webhook)
+    });
+
+    res.json({
+      success: true,
+      message: 'Webhook updated',
+      data: formatWebhook(webhook)
+    });
+  } catch (error) {
+    console.error('Update webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating webhook'
+    });
+  }
+};
+
+// @desc    Delete a webhook and its delivery log
+// @route   DELETE /api/admin/webhooks/:id
+// @access  Private/Admin
+const deleteWebhook = async (req, res) => {
+  try {
+    const webhook = await findWebhook(req, res);
+    if (!webhook) {
+      return;
+    }
+
+    await webhook.deleteOne();
+    await WebhookDelivery.deleteMany({ webhookId: webhook._id });
+    await recordAudit(req, {
+      action: 'webhook.deleted',
+      target: { type: 'webhook', id: webhook._id },
+      before: formatWebhook(webhook),
+      after: {}
+    });
+
+    res.json({
+      success: true,
+      message: 'Webhook deleted'
+    });
+  } catch (error) {
+    console.error('Delete webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting webhook'
+    });
+  }
+};
+
+// @desc    Replace a webhook's signing secret (the old one stops working immediately)
+// @route   POST /api/admin/webhooks/:id/rotate-secret
+// @access  Private/Admin
+const rotateWebhookSecret = async (req, res) => {
+  try {
+    const webhook = await findWebhook(req, res);
+    if (!webhook) {
+      return;
+    }
+
+    const secret = generateWebhookSecret();
+    webhook.secret = secret;
+    await webhook.save();
+    await recordAudit(req, { action: 'webhook.secret_rotated', target: { type: 'webhook', id: webhook._id } });
+
+    res.json({
+      success: true,
+      message: 'Webhook secret rotated. Store the new secret now, it is not shown again',
+      data: { ...formatWebhook(webhook), secret }
+    });
+  } catch (error) {
+    console.error('Rotate webhook secret error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error rotating webhook secret'
+    });
+  }
+};
+
+// @desc    A webhook's delivery log, newest first
+// @route   GET /api/admin/webhooks/:id/deliveries?status=&event=&page=&limit=
+// @access  Private/Admin
+const getWebhookDeliveries = async (req, res) => {
+  try {
+    const { status, event } = req.query;
+
+    if (status && !DELIVERY_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `status must be one of: ${DELIVERY_STATUSES.join(', ')}`
+      });
+    }
+
+    const webhook = await findWebhook(req, res);
+    if (!webhook) {
+      return;
+    }
+
+    const { page, limit, skip } = parsePagination(req.query, { defaultLimit: 20 });
+    const query = { webhookId: webhook._id };
+    if (status) {
+      query.status = status;
+    }
+    if (event) {
+      query.event = event;
+    }
+
+    const [deliveries, total] = await Promise.all([
+      WebhookDelivery.find(query).sort({ createdAt: -1 }).skip(skip).limit(limit),
+      WebhookDelivery.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: deliveries,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    });
+  } catch (error) {
+    console.error('Get webhook deliveries error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching webhook deliveries'
+    });
+  }
+};
+
+// @desc    Queue an earlier delivery's payload to be sent again
+// @route   POST /api/admin/webhooks/:id/deliveries/:deliveryId/redeliver
+// @access  Private/Admin
+const redeliverWebhook = async (req, res) => {
+  try {
+    const webhook = await findWebhook(req, res);
+    if (!webhook) {
+      return;
+    }
+
+    const delivery = mongoose.isValidObjectId(req.params.deliveryId)
+      ? await WebhookDelivery.findOne({ _id: req.params.deliveryId, webhookId: webhook._id })
+      : null;
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        message: 'Delivery not found'
+      });
+    }
+
+    if (!webhook.active) {
+      return res.status(409).json({
+        success: false,
+        message: 'Enable the webhook before redelivering'
+      });
+    }
+
+    const redelivery = await redeliver(delivery, req.user.id);
+    await recordAudit(req, {
+      action: 'webhook.redelivered',
+      target: { type: 'webhook', id: webhook._id },
+      metadata: { deliveryId: delivery._id, redeliveryId: redelivery._id, event: delivery.event }
+    });
+
+    res.status(202).json({
+      success: true,
+      message: 'Redelivery queued',
+      data: redelivery
+    });
+  } catch (error) {
+    console.error('Redeliver webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error queueing redelivery'
+    });
+  }
+};
+
+module.exports = {
+  getWebhooks,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  rotateWebhookSecret,
+  getWebhookDeliveries,
+  redeliverWebhook
+};
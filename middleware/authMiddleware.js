@@ -1,16 +1,68 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { isSessionActive } = require('../services/sessionService');
+const emailVerification = require('../config/emailVerification');
+const { isRequiredForRole } = require('../services/twoFactorService');
+const { can } = require('../config/permissions');
+const { authenticateApiKey } = require('../services/apiKeyService');
+const { findTicketByGuestToken } = require('../services/guestAccessService');
+
+// Shape of req.user shared by session tokens and API keys
+const requestUser = (user, extra) => ({
+  id: user._id,
+  email: user.email,
+  name: user.name,
+  role: user.role || 'user',
+  emailVerified: Boolean(user.emailVerified),
+  twoFactorEnabled: Boolean(user.twoFactor && user.twoFactor.enabled),
+  ...extra
+});
+
+const accountDisabled = (res) => {
+  return res.status(401).json({
+    success: false,
+    message: 'This account has been disabled',
+    code: 'ACCOUNT_DISABLED'
+  });
+};
+
+// Authenticate with "Authorization: ApiKey rk_..."; the key's scopes narrow the owner's permissions
+const protectWithApiKey = async (rawKey, req, res, next) => {
+  const result = await authenticateApiKey(rawKey, req.ip);
+
+  if (!result) {
+    return res.status(401).json({
+      success: false,
+      message: 'Not authorized, invalid API key'
+    });
+  }
+
+  if (result.user.disabledAt) {
+    return accountDisabled(res);
+  }
+
+  req.user = requestUser(result.user, {
+    authMethod: 'apiKey',
+    apiKeyId: result.apiKey._id,
+    scopes: result.apiKey.scopes
+  });
+
+  next();
+};
 
 const protect = async (req, res, next) => {
   try {
     let token;
+    const authorization = req.headers.authorization || '';
+
+    if (authorization.startsWith('ApiKey ')) {
+      return await protectWithApiKey(authorization.slice('ApiKey '.length).trim(), req, res, next);
+    }
 
     // Check for token in Authorization header
-    if (
-      req.headers.authorization &&
-      req.headers.authorization.startsWith('Bearer')
-    ) {
-      token = req.headers.authorization.split(' ')[1];
+    if (authorization.startsWith('Bearer')) {
+      token = authorization.split(' ')[1];
     }
 
     if (!token) {
@@ -23,6 +75,14 @@ const protect = async (req, res, next) => {
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+    // Reject tokens whose session was revoked (logout, "sign out everywhere", etc.)
+    if (!(await isSessionActive(decoded.sid))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session expired or revoked'
+      });
+    }
+
     // Get user from token
     const user = await User.findById(decoded.id);
 
@@ -33,12 +93,24 @@ const protect = async (req, res, next) => {
       });
     }
 
-    req.user = {
-      id: user._id,
-      email: user.email,
-      name: user.name,
-      role: user.role || 'user'
-    };
+    if (user.disabledAt) {
+      return accountDisabled(res);
+    }
+
+    req.user = requestUser(user, {
+      authMethod: 'session',
+      sessionId: decoded.sid
+    });
+
+    // Impersonated requests are flagged to the client and in the logs
+    if (decoded.imp) {
+      req.user.impersonatedBy = decoded.imp;
+      res.set('X-Impersonated-By', String(decoded.imp));
+      console.log(`👤 Impersonated request: ${req.method} ${req.originalUrl}`, {
+        user: String(user._id),
+        impersonatedBy: String(decoded.imp)
+      });
+    }
 
     next();
   } catch (error) {
@@ -50,6 +122,73 @@ const protect = async (req, res, next) => {
   }
 };
 
+// Like protect, but lets anonymous requests through without req.user.
+// A credential that is present must still be valid.
+const optionalAuth = (req, res, next) => {
+  if (!req.headers.authorization) {
+    return next();
+  }
+  return protect(req, res, next);
+};
+
+// Guest access to a single ticket with a magic-link token ("X-Ticket-Token" header or ?token=)
+const protectGuestTicket = async (req, res, next) => {
+  try {
+    const token = req.headers['x-ticket-token'] || req.query.token;
+    const supportRequest = token ? await findTicketByGuestToken(token) : null;
+
+    if (!supportRequest) {
+      return res.status(401).json({
+        success: false,
+        message: 'This link is invalid or has expired, please request a new one'
+      });
+    }
+
+    req.guestTicket = supportRequest;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Machine-to-machine calls (the inbound mail relay) authenticate with a shared secret
+// in "X-Inbound-Secret". The endpoint stays closed until INBOUND_EMAIL_SECRET is set.
+const requireInboundSecret = (req, res, next) => {
+  const expected = process.env.INBOUND_EMAIL_SECRET;
+  const provided = req.headers['x-inbound-secret'];
+
+  const digest = (value) => crypto.createHash('sha256').update(String(value)).digest();
+  if (expected && provided && crypto.timingSafeEqual(digest(expected), digest(provided))) {
+    return next();
+  }
+  res.status(401).json({
+    success: false,
+    message: 'Not authorized'
+  });
+};
+
+// Account management needs an interactive session, not an API key
+const requireSession = (req, res, next) => {
+  if (req.user && req.user.authMethod === 'session') {
+    return next();
+  }
+  res.status(403).json({
+    success: false,
+    message: 'This action is not available with an API key'
+  });
+};
+
+// Impersonated sessions may look at the account but not change it
+const forbidImpersonation = (req, res, next) => {
+  if (req.user && req.user.impersonatedBy) {
+    return res.status(403).json({
+      success: false,
+      message: 'This action is not available while impersonating a user'
+    });
+  }
+  next();
+};
+
 // Admin middleware
 const admin = (req, res, next) => {
   if (req.user && req.user.role === 'admin') {
@@ -62,4 +201,58 @@ const admin = (req, res, next) => {
   }
 };
 
-module.exports = { protect, admin };
\ No newline at end of file
+// Require every listed permission for the current user's role (and API key scopes)
+const requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    if (req.user && permissions.every(permission => can(req.user, permission))) {
+      return next();
+    }
+    res.status(403).json({
+      success: false,
+      message: 'You do not have permission to perform this action'
+    });
+  };
+};
+
+// Block unverified accounts when the verification policy limits them to support requests
+const requireVerifiedEmail = (req, res, next) => {
+  if (emailVerification.policy === 'allow' || (req.user && req.user.emailVerified)) {
+    return next();
+  }
+  res.status(403).json({
+    success: false,
+    message: 'Please verify your email to access this resource',
+    code: 'EMAIL_NOT_VERIFIED'
+  });
+};
+
+// Block users whose role must use 2FA until they have enrolled
+const requireTwoFactor = async (req, res, next) => {
+  try {
+    // API keys are issued from a session that already went through this check
+    if (req.user.authMethod === 'apiKey' || req.user.twoFactorEnabled ||
+      !(await isRequiredForRole(req.user.role))) {
+      return next();
+    }
+    res.status(403).json({
+      success: false,
+      message: 'Two-factor authentication must be enabled for your account',
+      code: 'TWO_FACTOR_SETUP_REQUIRED'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  protect,
+  optionalAuth,
+  protectGuestTicket,
+  requireInboundSecret,
+  requireSession,
+  forbidImpersonation,
+  admin,
+  requirePermission,
+  requireVerifiedEmail,
+  requireTwoFactor
+};
\ No newline at end of file
@@ -0,0 +1,75 @@
+const { hit } = require('../services/rateLimit');
+const { getLockout } = require('../services/rateLimit/lockout');
+const { disabled } = require('../config/rateLimits');
+
+const byIp = (req) => req.ip;
+
+// Per-account key from the submitted email (null skips the limit)
+const byEmail = (req) => {
+  const email = req.body && req.body.email;
+  return email ? String(email).trim().toLowerCase() : null;
+};
+
+const tooManyRequests = (res, retryAfterSeconds, message) => {
+  res.set('Retry-After', String(Math.max(1, retryAfterSeconds)));
+  return res.status(429).json({
+    success: false,
+    message,
+    retryAfter: Math.max(1, retryAfterSeconds)
+  });
+};
+
+// Fixed-window rate limiter; counters live in the configured store so limits hold across instances
+const rateLimit = ({ name, windowMs, max, key = byIp, message = 'Too many requests, please try again later' }) => {
+  return async (req, res, next) => {
+    if (disabled) {
+      return next();
+    }
+
+    try {
+      const value = key(req);
+      if (!value) {
+        return next();
+      }
+
+      const result = await hit(`${name}:${value}`, { windowMs, max });
+      const resetSeconds = Math.ceil((result.resetAt.getTime() - Date.now()) / 1000);
+
+      res.set('RateLimit-Limit', String(result.limit));
+      res.set('RateLimit-Remaining', String(result.remaining));
+      res.set('RateLimit-Reset', String(Math.max(0, resetSeconds)));
+
+      if (result.limited) {
+        return tooManyRequests(res, resetSeconds, message);
+      }
+      next();
+    } catch (error) {
+      // Fail open: a broken counter store shouldn't take authentication down with it
+      console.error('Rate limit error:', error);
+      next();
+    }
+  };
+};
+
+// Reject requests for a key that is locked out after repeated failures
+const checkLockout = ({ name, key = byEmail }) => {
+  return async (req, res, next) => {
+    if (disabled) {
+      return next();
+    }
+
+    try {
+      const value = key(req);
+      const retryAfter = value ? await getLockout(`${name}:${value}`) : 0;
+      if (retryAfter > 0) {
+        return tooManyRequests(res, retryAfter, 'Too many failed attempts, please try again later');
+      }
+      next();
+    } catch (error) {
+      console.error('Lockout check error:', error);
+      next();
+    }
+  };
+};
+
+module.exports = { rateLimit, checkLockout, byIp, byEmail };
@@ -0,0 +1,42 @@
+// middleware/uploadMiddleware.js
+const multer = require('multer');
+const { isAllowedUpload, inspectUploads } = require('../services/uploadInspection');
+
+// Files are kept in memory and handed to the storage driver (services/storage) by the
+// controllers, so nothing depends on a writable local disk
+const storage = multer.memoryStorage();
+
+// Reject unsupported names/types before buffering; the content itself is checked
+// after the upload by services/uploadInspection.js
+const fileFilter = (req, file, cb) => {
+  if (isAllowedUpload(file)) {
+    return cb(null, true);
+  }
+  cb(new Error('Only images, PDFs, and documents are allowed!'));
+};
+
+const receiveFiles = multer({
+  storage: storage,
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB limit
+  },
+  fileFilter: fileFilter
+}).array('attachments', 5); // Max 5 files
+
+// Receive the files, then sniff, scan and clean them. Errors reach the callback
+// like multer's own, with a `status` when it isn't the client's fault.
+const upload = (req, res, callback) => {
+  receiveFiles(req, res, async (err) => {
+    if (err) {
+      return callback(err);
+    }
+    try {
+      await inspectUploads(req.files || [], req);
+      callback();
+    } catch (error) {
+      callback(error);
+    }
+  });
+};
+
+module.exports = { upload };
@@ -0,0 +1,59 @@
+// models/ApiKey.js
+const mongoose = require('mongoose');
+
+const apiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Key name is required'],
+    trim: true,
+    maxlength: [100, 'Key name cannot exceed 100 characters']
+  },
+  // The key acts as this user, limited to `scopes`
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Public part of the key, used for lookup and to recognise a key in listings
+  prefix: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // SHA-256 of the full key; the key itself is only shown once, at creation
+  keyHash: {
+    type: String,
+    required: true
+  },
+  scopes: {
+    type: [String],
+    default: []
+  },
+  expiresAt: {
+    type: Date
+  },
+  lastUsedAt: {
+    type: Date
+  },
+  lastUsedIp: {
+    type: String
+  },
+  revokedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Index for faster queries
+apiKeySchema.index({ userId: 1, createdAt: -1 });
+
+apiKeySchema.methods.isActive = function() {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+};
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
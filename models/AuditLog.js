@@ -0,0 +1,67 @@
+// models/AuditLog.js
+const mongoose = require('mongoose');
+
+// Append-only, hash-chained audit trail. Each entry stores the hash of the previous
+// one, so editing or deleting an entry breaks the chain (see services/auditService.js).
+const auditLogSchema = new mongoose.Schema({
+  sequence: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  action: {
+    type: String,
+    required: true
+  },
+  actor: {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    email: String,
+    role: String,
+    impersonatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    apiKeyId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ApiKey'
+    }
+  },
+  target: {
+    type: {
+      type: String
+    },
+    id: String
+  },
+  // { field: { from, to } } for mutations
+  changes: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  ip: String,
+  userAgent: String,
+  createdAt: {
+    type: Date,
+    required: true
+  },
+  prevHash: {
+    type: String,
+    required: true
+  },
+  hash: {
+    type: String,
+    required: true
+  }
+});
+
+// Index for faster queries
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ 'actor.userId': 1, createdAt: -1 });
+auditLogSchema.index({ 'target.type': 1, 'target.id': 1, createdAt: -1 });
+auditLogSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
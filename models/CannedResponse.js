@@ -0,0 +1,39 @@
+// models/CannedResponse.js
+const mongoose = require('mongoose');
+
+// A saved reply agents can insert, with {{placeholders}} filled in from the ticket
+// (see services/cannedResponseService.js for the available names)
+const cannedResponseSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Title is required'],
+    trim: true,
+    maxlength: [100, 'Title cannot exceed 100 characters']
+  },
+  body: {
+    type: String,
+    required: [true, 'Body is required'],
+    trim: true,
+    maxlength: [10000, 'Body cannot exceed 10000 characters']
+  },
+  // Suggested first for tickets in this category; null means any ticket
+  category: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+cannedResponseSchema.index({ category: 1, title: 1 });
+
+module.exports = mongoose.model('CannedResponse', cannedResponseSchema);
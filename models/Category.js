@@ -0,0 +1,37 @@
+// models/Category.js
+const mongoose = require('mongoose');
+
+// A topic requesters pick when submitting a ticket (billing, bug, account access, ...)
+const categorySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Category name is required'],
+    unique: true,
+    trim: true,
+    maxlength: [100, 'Category name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  // Tickets in this category are routed here instead of the default queue
+  queue: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Queue',
+    default: null
+  },
+  // Inactive categories stay on old tickets but can't be picked for new ones
+  active: {
+    type: Boolean,
+    default: true
+  },
+  // Display order in the submission form
+  position: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Category', categorySchema);
@@ -0,0 +1,43 @@
+// models/Identity.js
+const mongoose = require('mongoose');
+
+// An external login method (Google, any configured OIDC provider) linked to a user.
+// A user can hold a password and any number of identities.
+const identitySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  provider: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true
+  },
+  // Stable subject identifier issued by the provider (`sub` claim)
+  subject: {
+    type: String,
+    required: true
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  lastLoginAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Index for faster queries
+identitySchema.index({ provider: 1, subject: 1 }, { unique: true });
+identitySchema.index({ userId: 1, provider: 1 });
+
+module.exports = mongoose.model('Identity', identitySchema);
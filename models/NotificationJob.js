@@ -0,0 +1,53 @@
+// models/NotificationJob.js
+const mongoose = require('mongoose');
+
+// A rendered email waiting for (or done with) delivery by the notification worker
+const notificationJobSchema = new mongoose.Schema({
+  event: {
+    type: String,
+    required: true
+  },
+  to: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  subject: String,
+  text: String,
+  headers: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  ticketId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SupportRequest'
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'sending', 'sent', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedAt: Date,
+  sentAt: Date,
+  lastError: String
+}, {
+  timestamps: true
+});
+
+notificationJobSchema.index({ status: 1, nextAttemptAt: 1 });
+// Delivered jobs are only kept for a month
+notificationJobSchema.index({ sentAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('NotificationJob', notificationJobSchema);
@@ -0,0 +1,26 @@
+// models/QuarantinedFile.js
+const mongoose = require('mongoose');
+
+// An upload the malware scanner rejected; the bytes are kept in storage for investigation
+const quarantinedFileSchema = new mongoose.Schema({
+  filename: String,
+  key: {
+    type: String,
+    required: true
+  },
+  storage: String,
+  mimetype: String,
+  size: Number,
+  scanner: String,
+  signature: String,
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  ip: String,
+  route: String
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('QuarantinedFile', quarantinedFileSchema);
@@ -0,0 +1,51 @@
+// models/Queue.js
+const mongoose = require('mongoose');
+
+// A named team of agents that tickets can be routed to
+const queueSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Queue name is required'],
+    unique: true,
+    trim: true,
+    maxlength: [100, 'Queue name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  members: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // New tickets land in the default queue
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  autoAssign: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    strategy: {
+      type: String,
+      enum: ['round-robin', 'least-open'],
+      default: 'round-robin'
+    }
+  },
+  // Round-robin position, advanced atomically on every assignment
+  roundRobinCounter: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to find the queue new tickets go to
+queueSchema.statics.findDefault = function() {
+  return this.findOne({ isDefault: true });
+};
+
+module.exports = mongoose.model('Queue', queueSchema);
@@ -0,0 +1,24 @@
+// models/RateLimitCounter.js
+const mongoose = require('mongoose');
+
+// Fixed-window counters shared by every instance (see services/rateLimit/mongoStore.js)
+const rateLimitCounterSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  resetAt: {
+    type: Date,
+    required: true
+  }
+});
+
+// Let Mongo drop counters once their window has passed
+rateLimitCounterSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RateLimitCounter', rateLimitCounterSchema);
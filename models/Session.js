@@ -0,0 +1,68 @@
+// models/Session.js
+const mongoose = require('mongoose');
+
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // SHA-256 of the current refresh token secret; the raw value is never stored
+  refreshTokenHash: {
+    type: String,
+    required: true
+  },
+  // Hash of the token that was rotated out, kept to detect refresh token reuse
+  previousTokenHash: {
+    type: String
+  },
+  // Admin who started this session to act as the user (support debugging)
+  impersonatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  userAgent: {
+    type: String,
+    trim: true
+  },
+  ip: {
+    type: String,
+    trim: true
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedReason: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+// Index for faster queries
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+// Let Mongo clean up sessions once the refresh token can no longer be used
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Static method to revoke every active session of a user
+sessionSchema.statics.revokeAllForUser = function(userId, reason, exceptSessionId) {
+  const query = { userId, revokedAt: null };
+  if (exceptSessionId) {
+    query._id = { $ne: exceptSessionId };
+  }
+  return this.updateMany(query, { revokedAt: new Date(), revokedReason: reason });
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
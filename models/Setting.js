@@ -0,0 +1,38 @@
+// models/Setting.js
+const mongoose = require('mongoose');
+
+// Runtime settings that admins can change without a redeploy
+const settingSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  value: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to read a setting with a fallback
+settingSchema.statics.getValue = async function(key, defaultValue) {
+  const setting = await this.findOne({ key }).lean();
+  return setting ? setting.value : defaultValue;
+};
+
+// Static method to create or update a setting
+settingSchema.statics.setValue = function(key, value, updatedBy) {
+  return this.findOneAndUpdate(
+    { key },
+    { value, updatedBy },
+    { new: true, upsert: true, runValidators: true }
+  );
+};
+
+module.exports = mongoose.model('Setting', settingSchema);
@@ -0,0 +1,51 @@
+// models/SlaPolicy.js
+const mongoose = require('mongoose');
+
+// Response and resolution targets for one ticket priority
+const slaPolicySchema = new mongoose.Schema({
+  priority: {
+    type: String,
+    enum: ['low', 'medium', 'high'],
+    required: true,
+    unique: true
+  },
+  firstResponseMinutes: {
+    type: Number,
+    required: [true, 'First response target is required'],
+    min: [1, 'Targets must be at least one minute']
+  },
+  resolutionMinutes: {
+    type: Number,
+    required: [true, 'Resolution target is required'],
+    min: [1, 'Targets must be at least one minute']
+  },
+  // Count only business hours (see the SLA calendar) instead of wall-clock time
+  businessHoursOnly: {
+    type: Boolean,
+    default: false
+  },
+  escalation: {
+    // Raise the priority one step on breach (low → medium → high)
+    bumpPriority: {
+      type: Boolean,
+      default: true
+    },
+    // Reassign on breach, to a specific agent or to a queue (unassigned)
+    reassignTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reassignQueue: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Queue'
+    }
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('SlaPolicy', slaPolicySchema);
@@ -1,6 +1,9 @@
 // models/SupportRequest.js
 const mongoose = require('mongoose');
 
+// Numeric priority so lists sort low < medium < high instead of alphabetically
+const PRIORITY_RANK = { low: 1, medium: 2, high: 3 };
+
 const supportRequestSchema = new mongoose.Schema({
   subject: {
     type: String,
@@ -26,9 +29,20 @@ const supportRequestSchema = new mongoose.Schema({
   },
   attachments: [{
     filename: String,
+    // Storage driver key and driver name (see services/storage)
+    key: String,
+    storage: String,
+    // Local disk path of attachments stored before storage drivers existed
     path: String,
     mimetype: String,
-    size: Number
+    size: Number,
+    // Preview for images, stored next to the original with the same driver
+    thumbnail: {
+      key: String,
+      mimetype: String,
+      width: Number,
+      height: Number
+    }
   }],
   status: {
     type: String,
@@ -40,17 +54,166 @@ const supportRequestSchema = new mongoose.Schema({
     enum: ['low', 'medium', 'high'],
     default: 'medium'
   },
+  // Kept in sync with priority by the hooks below; only used for sorting
+  priorityRank: {
+    type: Number,
+    default: PRIORITY_RANK.medium
+  },
+  // Picked by the requester from the admin-managed list (see models/Category.js)
+  category: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+  // Free-form labels set by staff, normalized by utils/tags.js
+  tags: [{
+    type: String
+  }],
   userId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: false
+  },
+  queue: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Queue'
+  },
+  assignee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  assignedAt: {
+    type: Date
+  },
+  // Where the request came from; email requests keep the Message-ID to ignore redeliveries
+  source: {
+    type: String,
+    enum: ['web', 'email'],
+    default: 'web'
+  },
+  emailMessageId: {
+    type: String
+  },
+  // Language for emails to a guest requester (account holders use their own setting)
+  locale: {
+    type: String
+  },
+  // Latest resolution note, required when a ticket is resolved
+  resolutionNote: {
+    type: String,
+    trim: true,
+    maxlength: [5000, 'Resolution note cannot exceed 5000 characters']
+  },
+  // Every status and priority change and merge, oldest first (see services/ticketWorkflowService.js)
+  timeline: [{
+    field: {
+      type: String,
+      enum: ['status', 'priority', 'merge'],
+      required: true
+    },
+    // For merges: from = the duplicate's id, to = this ticket's id
+    from: String,
+    to: String,
+    // Who made the change: staff, the requester, or the SLA checker (no actor)
+    source: {
+      type: String,
+      enum: ['staff', 'requester', 'sla'],
+      default: 'staff'
+    },
+    actor: {
+      userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      name: String
+    },
+    note: String,
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Set on duplicates folded into another ticket (see services/ticketMergeService.js)
+  mergedInto: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SupportRequest',
+    default: null
+  },
+  // First public reply from staff, and when the request was last resolved
+  firstResponseAt: {
+    type: Date
+  },
+  resolvedAt: {
+    type: Date
+  },
+  // Service level tracking (see services/slaService.js)
+  sla: {
+    firstResponseDueAt: Date,
+    resolutionDueAt: Date,
+    state: {
+      type: String,
+      enum: ['ok', 'warning', 'breached', 'met'],
+      default: 'ok'
+    },
+    firstResponseBreached: {
+      type: Boolean,
+      default: false
+    },
+    resolutionBreached: {
+      type: Boolean,
+      default: false
+    },
+    // Escalations already applied, so each breach escalates once
+    escalations: [{
+      type: {
+        type: String,
+        enum: ['first-response', 'resolution']
+      },
+      at: Date,
+      action: String
+    }]
   }
 }, {
   timestamps: true
 });
 
+supportRequestSchema.pre('validate', function(next) {
+  this.priorityRank = PRIORITY_RANK[this.priority];
+  next();
+});
+
+// Query updates that change priority must update the rank as well
+supportRequestSchema.pre(['findOneAndUpdate', 'updateOne', 'updateMany'], function(next) {
+  const update = this.getUpdate() || {};
+  const priority = update.priority !== undefined ? update.priority : (update.$set || {}).priority;
+  if (priority !== undefined) {
+    this.set('priorityRank', PRIORITY_RANK[priority]);
+  }
+  next();
+});
+
 // Index for faster queries
 supportRequestSchema.index({ status: 1, createdAt: -1 });
 supportRequestSchema.index({ email: 1 });
+supportRequestSchema.index({ assignee: 1, status: 1 });
+supportRequestSchema.index({ queue: 1, status: 1 });
+supportRequestSchema.index({ 'sla.state': 1, status: 1 });
+supportRequestSchema.index({ userId: 1, createdAt: -1 });
+supportRequestSchema.index({ priorityRank: -1, createdAt: -1 });
+supportRequestSchema.index({ updatedAt: -1 });
+supportRequestSchema.index({ emailMessageId: 1 }, { sparse: true });
+supportRequestSchema.index({ category: 1, status: 1 });
+supportRequestSchema.index({ tags: 1 });
+// Report date ranges
+supportRequestSchema.index({ createdAt: -1 });
+supportRequestSchema.index({ resolvedAt: -1 }, { sparse: true });
+// Ticket list search box
+supportRequestSchema.index(
+  { subject: 'text', description: 'text', email: 'text' },
+  { weights: { subject: 5, email: 3, description: 1 }, name: 'ticket_text_search' }
+);
+
+const SupportRequest = mongoose.model('SupportRequest', supportRequestSchema);
+SupportRequest.PRIORITY_RANK = PRIORITY_RANK;
 
-module.exports = mongoose.model('SupportRequest', supportRequestSchema);
\ No newline at end of file
+module.exports = SupportRequest;
\ No newline at end of file
@@ -0,0 +1,74 @@
+// models/TicketMessage.js
+const mongoose = require('mongoose');
+
+const MAX_BODY_LENGTH = 20000;
+
+const ticketMessageSchema = new mongoose.Schema({
+  ticketId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SupportRequest',
+    required: true
+  },
+  author: {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    name: String,
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true
+    }
+  },
+  // Who wrote it: the requester or a member of staff
+  authorType: {
+    type: String,
+    enum: ['customer', 'agent'],
+    required: true
+  },
+  // Internal notes are only visible to staff
+  visibility: {
+    type: String,
+    enum: ['public', 'internal'],
+    default: 'public'
+  },
+  body: {
+    type: String,
+    required: [true, 'Message body is required'],
+    trim: true,
+    maxlength: [MAX_BODY_LENGTH, `Message cannot exceed ${MAX_BODY_LENGTH} characters`]
+  },
+  // Set for replies received by email, to ignore redeliveries
+  emailMessageId: {
+    type: String
+  },
+  attachments: [{
+    filename: String,
+    // Storage driver key and driver name (see services/storage)
+    key: String,
+    storage: String,
+    // Local disk path of attachments stored before storage drivers existed
+    path: String,
+    mimetype: String,
+    size: Number,
+    // Preview for images, stored next to the original with the same driver
+    thumbnail: {
+      key: String,
+      mimetype: String,
+      width: Number,
+      height: Number
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+// Index for faster queries
+ticketMessageSchema.index({ ticketId: 1, createdAt: 1 });
+ticketMessageSchema.index({ emailMessageId: 1 }, { sparse: true });
+
+const TicketMessage = mongoose.model('TicketMessage', ticketMessageSchema);
+TicketMessage.MAX_BODY_LENGTH = MAX_BODY_LENGTH;
+
+module.exports = TicketMessage;
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { ROLES } = require('../config/permissions');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -18,21 +19,85 @@ const userSchema = new mongoose.Schema({
     type: String,
     minlength: [6, 'Password must be at least 6 characters']
   },
+  // Legacy: Google accounts created before the identities collection (see models/Identity.js)
   googleId: {
     type: String,
     unique: true,
     sparse: true
   },
+  // How the account was originally created; login methods live on password + identities
   authProvider: {
     type: String,
-    enum: ['local', 'google'],
+    enum: ['local', 'google', 'oidc'],
     default: 'local'
   },
   role: {
     type: String,
-    enum: ['user', 'admin'],
+    enum: ROLES,
     default: 'user'
   },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  // Email verification (stored hashed)
+  emailVerificationTokenHash: {
+    type: String
+  },
+  emailVerificationExpires: {
+    type: Date
+  },
+  // TOTP two-factor authentication
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: String,
+    // Secret generated by /2fa/setup, promoted to `secret` once a code is confirmed
+    pendingSecret: String,
+    // Last accepted time step, so a code can't be replayed within its window
+    lastUsedStep: Number,
+    recoveryCodeHashes: [String],
+    enabledAt: Date
+  },
+  // Language for emails (see templates/notifications); unset means the default
+  locale: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  // Ticket emails the user wants (keys from config/notifications.js)
+  notificationPreferences: {
+    created: { type: Boolean, default: true },
+    statusChanged: { type: Boolean, default: true },
+    replied: { type: Boolean, default: true },
+    resolved: { type: Boolean, default: true }
+  },
+  // Set by an admin; disabled accounts can't sign in and their tokens stop working
+  disabledAt: {
+    type: Date
+  },
+  disabledReason: {
+    type: String,
+    trim: true
+  },
+  disabledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Set by an admin; password login is refused until the password has been reset
+  passwordResetRequired: {
+    type: Boolean,
+    default: false
+  },
+  // Password reset (single-use, stored hashed)
+  passwordResetTokenHash: {
+    type: String
+  },
+  passwordResetExpires: {
+    type: Date
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -42,6 +107,8 @@ const userSchema = new mongoose.Schema({
 // Index for faster queries
 userSchema.index({ email: 1 });
 userSchema.index({ googleId: 1 });
+userSchema.index({ passwordResetTokenHash: 1 }, { sparse: true });
+userSchema.index({ emailVerificationTokenHash: 1 }, { sparse: true });
 
 // Static method to find by email
 userSchema.statics.findByEmail = function(email) {
@@ -0,0 +1,41 @@
+// models/Webhook.js
+const mongoose = require('mongoose');
+const { WEBHOOK_EVENTS } = require('../config/webhooks');
+
+// An admin-managed endpoint that receives signed event payloads
+const webhookSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+  events: [{
+    type: String,
+    enum: WEBHOOK_EVENTS
+  }],
+  // HMAC key shared with the receiver; kept in plain text because every delivery is signed with it
+  secret: {
+    type: String,
+    required: true,
+    select: false
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+webhookSchema.index({ events: 1, active: 1 });
+
+module.exports = mongoose.model('Webhook', webhookSchema);
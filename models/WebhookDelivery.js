@@ -0,0 +1,65 @@
+// models/WebhookDelivery.js
+const mongoose = require('mongoose');
+
+const attemptSchema = new mongoose.Schema({
+  at: {
+    type: Date,
+    default: Date.now
+  },
+  responseStatus: Number,
+  responseBody: String,
+  error: String,
+  durationMs: Number
+}, { _id: false });
+
+// One event payload on its way to one webhook, with the outcome of every attempt
+const webhookDeliverySchema = new mongoose.Schema({
+  webhookId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Webhook',
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  // Snapshot taken when the event happened; redeliveries send it unchanged
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'sending', 'succeeded', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedAt: Date,
+  deliveredAt: Date,
+  lastError: String,
+  log: [attemptSchema],
+  redeliveryOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookDelivery'
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ webhookId: 1, createdAt: -1 });
+// The delivery log covers the last month
+webhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
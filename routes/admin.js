@@ -0,0 +1,89 @@
+// routes/admin.js
+const express = require('express');
+const router = express.Router();
+const {
+  getUsers,
+  getUser,
+  updateUserRole,
+  disableUser,
+  enableUser,
+  forcePasswordReset,
+  impersonateUser
+} = require('../controllers/adminUserController');
+const { getAuditLogs, verifyAuditLog } = require('../controllers/auditController');
+const {
+  getSlaPolicies,
+  updateSlaPolicy,
+  getSlaCalendar,
+  updateSlaCalendar,
+  runSlaCheckNow
+} = require('../controllers/slaController');
+const {
+  getWebhooks,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  rotateWebhookSecret,
+  getWebhookDeliveries,
+  redeliverWebhook
+} = require('../controllers/webhookController');
+const {
+  getVolumeReport,
+  getBacklogReport,
+  getResponseTimeReport,
+  getAssigneeReport,
+  getCategoryReport
+} = require('../controllers/reportController');
+const {
+  protect,
+  requireSession,
+  forbidImpersonation,
+  requirePermission,
+  requireTwoFactor
+} = require('../middleware/authMiddleware');
+
+router.use(protect, requireTwoFactor);
+
+const manageUsers = requirePermission('user:manage');
+const readAudit = requirePermission('audit:read');
+const manageSla = requirePermission('sla:manage');
+const manageWebhooks = requirePermission('webhook:manage');
+const readReports = requirePermission('report:read');
+
+// User management
+router.get('/users', manageUsers, getUsers);
+router.get('/users/:id', manageUsers, getUser);
+router.patch('/users/:id/role', manageUsers, updateUserRole);
+router.post('/users/:id/disable', manageUsers, disableUser);
+router.post('/users/:id/enable', manageUsers, enableUser);
+router.post('/users/:id/force-password-reset', manageUsers, forcePasswordReset);
+router.post('/users/:id/impersonate', manageUsers, requireSession, forbidImpersonation, impersonateUser);
+
+// Audit log
+router.get('/audit', readAudit, getAuditLogs);
+router.get('/audit/verify', readAudit, verifyAuditLog);
+
+// SLA policies and business calendar
+router.get('/sla/policies', manageSla, getSlaPolicies);
+router.put('/sla/policies/:priority', manageSla, updateSlaPolicy);
+router.get('/sla/calendar', manageSla, getSlaCalendar);
+router.put('/sla/calendar', manageSla, updateSlaCalendar);
+router.post('/sla/run', manageSla, runSlaCheckNow);
+
+// Outgoing webhooks and their delivery log
+router.get('/webhooks', manageWebhooks, getWebhooks);
+router.post('/webhooks', manageWebhooks, createWebhook);
+router.patch('/webhooks/:id', manageWebhooks, updateWebhook);
+router.delete('/webhooks/:id', manageWebhooks, deleteWebhook);
+router.post('/webhooks/:id/rotate-secret', manageWebhooks, rotateWebhookSecret);
+router.get('/webhooks/:id/deliveries', manageWebhooks, getWebhookDeliveries);
+router.post('/webhooks/:id/deliveries/:deliveryId/redeliver', manageWebhooks, redeliverWebhook);
+
+// Reports (JSON, or CSV with ?format=csv)
+router.get('/reports/volume', readReports, getVolumeReport);
+router.get('/reports/backlog', readReports, getBacklogReport);
+router.get('/reports/response-times', readReports, getResponseTimeReport);
+router.get('/reports/assignees', readReports, getAssigneeReport);
+router.get('/reports/categories', readReports, getCategoryReport);
+
+module.exports = router;
@@ -4,18 +4,106 @@ const {
   signup,
   login,
   googleAuth,
+  oidcAuth,
   verifyToken,
-  getUserProfile
+  getUserProfile,
+  refresh,
+  logout,
+  getSessions,
+  deleteSession,
+  deleteOtherSessions,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification
 } = require('../controllers/authController');
-const { protect } = require('../middleware/authMiddleware');
+const {
+  setupTwoFactor,
+  confirmTwoFactor,
+  verifyTwoFactorLogin,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  getTwoFactorPolicy,
+  updateTwoFactorPolicy
+} = require('../controllers/twoFactorController');
+const {
+  getProviders,
+  getIdentities,
+  linkProvider,
+  unlinkProvider
+} = require('../controllers/identityController');
+const {
+  updateProfile,
+  changePassword,
+  deleteMyAccount,
+  getNotificationPreferences,
+  updateNotificationPreferences
+} = require('../controllers/accountController');
+const {
+  getApiKeys,
+  createApiKey,
+  revokeApiKey
+} = require('../controllers/apiKeyController');
+const { protect, requireSession, forbidImpersonation, admin } = require('../middleware/authMiddleware');
+const { rateLimit, checkLockout, byEmail } = require('../middleware/rateLimit');
+const limits = require('../config/rateLimits');
+
+const loginLimiters = [
+  rateLimit({ name: 'login-ip', ...limits.login.ip }),
+  rateLimit({ name: 'login-account', key: byEmail, ...limits.login.account }),
+  checkLockout({ name: 'login' })
+];
+// Provider sign-ins verify a token with the provider on every call
+const providerLoginLimiter = rateLimit({ name: 'login-ip', ...limits.login.ip });
+const emailLinkLimiters = [
+  rateLimit({ name: 'email-link-ip', ...limits.emailLinks.ip }),
+  rateLimit({ name: 'email-link-account', key: byEmail, ...limits.emailLinks.account })
+];
+const tokenRedemptionLimiter = rateLimit({ name: 'token-redemption', ...limits.tokenRedemption });
+
+// Account management is for interactive sessions only, never API keys;
+// impersonating admins can read the account but not change it
+const signedIn = [protect, requireSession];
+const accountOwner = [...signedIn, forbidImpersonation];
 
 // Public routes
-router.post('/signup', signup);
-router.post('/login', login);
-router.post('/google', googleAuth);
-router.post('/verify', verifyToken);
+router.post('/signup', rateLimit({ name: 'signup', ...limits.signup }), signup);
+router.post('/login', loginLimiters, login);
+router.post('/google', providerLoginLimiter, googleAuth);
+router.post('/oidc/:provider', providerLoginLimiter, oidcAuth);
+router.get('/providers', getProviders);
+router.post('/verify', rateLimit({ name: 'verify-token', ...limits.verifyToken }), verifyToken);
+router.post('/refresh', tokenRedemptionLimiter, refresh);
+router.post('/logout', logout);
+router.post('/forgot-password', emailLinkLimiters, forgotPassword);
+router.post('/reset-password', tokenRedemptionLimiter, resetPassword);
+router.post('/verify-email', tokenRedemptionLimiter, verifyEmail);
+router.post('/resend-verification', emailLinkLimiters, resendVerification);
+router.post('/2fa/verify', tokenRedemptionLimiter, verifyTwoFactorLogin);
 
 // Protected routes
-router.get('/profile', protect, getUserProfile);
+router.get('/profile', signedIn, getUserProfile);
+router.patch('/profile', accountOwner, updateProfile);
+router.post('/change-password', accountOwner, changePassword);
+router.get('/notifications', signedIn, getNotificationPreferences);
+router.put('/notifications', accountOwner, updateNotificationPreferences);
+router.delete('/account', accountOwner, deleteMyAccount);
+router.get('/sessions', signedIn, getSessions);
+router.delete('/sessions', accountOwner, deleteOtherSessions);
+router.delete('/sessions/:id', accountOwner, deleteSession);
+router.get('/identities', signedIn, getIdentities);
+router.post('/identities/:provider', accountOwner, linkProvider);
+router.delete('/identities/:provider', accountOwner, unlinkProvider);
+router.post('/2fa/setup', accountOwner, setupTwoFactor);
+router.post('/2fa/confirm', accountOwner, confirmTwoFactor);
+router.post('/2fa/disable', accountOwner, disableTwoFactor);
+router.post('/2fa/recovery-codes', accountOwner, regenerateRecoveryCodes);
+router.get('/api-keys', signedIn, getApiKeys);
+router.post('/api-keys', accountOwner, createApiKey);
+router.delete('/api-keys/:id', accountOwner, revokeApiKey);
+
+// Admin routes
+router.get('/2fa/policy', signedIn, admin, getTwoFactorPolicy);
+router.put('/2fa/policy', accountOwner, admin, updateTwoFactorPolicy);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,29 @@
+// routes/cannedResponses.js
+const express = require('express');
+const router = express.Router();
+const {
+  getCannedResponses,
+  createCannedResponse,
+  updateCannedResponse,
+  deleteCannedResponse,
+  renderCannedResponseForTicket
+} = require('../controllers/cannedResponseController');
+const {
+  protect,
+  requirePermission,
+  requireVerifiedEmail,
+  requireTwoFactor
+} = require('../middleware/authMiddleware');
+
+router.use(protect, requireVerifiedEmail, requireTwoFactor);
+
+// Staff routes
+router.get('/', requirePermission('ticket:update'), getCannedResponses);
+router.get('/:id/render', requirePermission('ticket:update'), renderCannedResponseForTicket);
+
+// Supervisor routes
+router.post('/', requirePermission('canned:manage'), createCannedResponse);
+router.patch('/:id', requirePermission('canned:manage'), updateCannedResponse);
+router.delete('/:id', requirePermission('canned:manage'), deleteCannedResponse);
+
+module.exports = router;
@@ -0,0 +1,28 @@
+// routes/categories.js
+const express = require('express');
+const router = express.Router();
+const {
+  getCategories,
+  createCategory,
+  updateCategory,
+  deleteCategory
+} = require('../controllers/categoryController');
+const {
+  protect,
+  optionalAuth,
+  requirePermission,
+  requireVerifiedEmail,
+  requireTwoFactor
+} = require('../middleware/authMiddleware');
+
+const manageCategories = [protect, requireVerifiedEmail, requireTwoFactor, requirePermission('category:manage')];
+
+// Public route - the submission form lists active categories
+router.get('/', optionalAuth, getCategories);
+
+// Admin routes
+router.post('/', manageCategories, createCategory);
+router.patch('/:id', manageCategories, updateCategory);
+router.delete('/:id', manageCategories, deleteCategory);
+
+module.exports = router;
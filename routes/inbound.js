@@ -0,0 +1,15 @@
+// routes/inbound.js
+const express = require('express');
+const router = express.Router();
+const { ingestInboundEmail } = require('../controllers/inboundEmailController');
+const { requireInboundSecret } = require('../middleware/authMiddleware');
+
+// Raw MIME from the inbound mail relay; big enough for five 5MB attachments after base64
+router.post(
+  '/email',
+  requireInboundSecret,
+  express.raw({ type: () => true, limit: '40mb' }),
+  ingestInboundEmail
+);
+
+module.exports = router;
@@ -0,0 +1,27 @@
+// routes/queues.js
+const express = require('express');
+const router = express.Router();
+const {
+  getQueues,
+  createQueue,
+  updateQueue,
+  deleteQueue
+} = require('../controllers/queueController');
+const {
+  protect,
+  requirePermission,
+  requireVerifiedEmail,
+  requireTwoFactor
+} = require('../middleware/authMiddleware');
+
+router.use(protect, requireVerifiedEmail, requireTwoFactor);
+
+// Staff routes
+router.get('/', requirePermission('ticket:read:any'), getQueues);
+
+// Supervisor routes
+router.post('/', requirePermission('queue:manage'), createQueue);
+router.patch('/:id', requirePermission('queue:manage'), updateQueue);
+router.delete('/:id', requirePermission('queue:manage'), deleteQueue);
+
+module.exports = router;
@@ -6,17 +6,78 @@ const {
   getAllSupportRequests,
   getSupportRequest,
   updateSupportRequestStatus,
-  deleteSupportRequest
+  deleteSupportRequest,
+  assignSupportRequest,
+  getMySupportRequests,
+  getSupportRequestTransitions,
+  bulkUpdateSupportRequests,
+  bulkDeleteSupportRequests,
+  mergeSupportRequests,
+  updateSupportRequestClassification,
+  getSupportRequestTags
 } = require('../controllers/supportController');
-const { protect } = require('../middleware/authMiddleware');
+const {
+  getTicketMessages,
+  createTicketMessage
+} = require('../controllers/ticketMessageController');
+const {
+  getGuestTicket,
+  createGuestReply,
+  requestGuestLinks
+} = require('../controllers/guestTicketController');
+const {
+  downloadAttachment,
+  getAttachmentDownloadUrl,
+  downloadSignedAttachment,
+  downloadGuestAttachment
+} = require('../controllers/attachmentController');
+const {
+  protect,
+  optionalAuth,
+  protectGuestTicket,
+  requirePermission,
+  requireVerifiedEmail,
+  requireTwoFactor
+} = require('../middleware/authMiddleware');
+const { rateLimit, byEmail } = require('../middleware/rateLimit');
+const limits = require('../config/rateLimits');
+
+// Signed in, and through the email verification and 2FA policies
+const authenticated = [protect, requireVerifiedEmail, requireTwoFactor];
+
+// Public route - anyone can submit a support request; signed-in submissions are linked to the account
+router.post('/', rateLimit({ name: 'support-create', ...limits.supportCreate }), optionalAuth, createSupportRequest);
+
+// Guest access to a single ticket through an emailed magic link
+router.post('/guest/links', [
+  rateLimit({ name: 'email-link-ip', ...limits.emailLinks.ip }),
+  rateLimit({ name: 'email-link-account', key: byEmail, ...limits.emailLinks.account })
+], requestGuestLinks);
+router.get('/guest/ticket', protectGuestTicket, getGuestTicket);
+router.post('/guest/ticket/messages', protectGuestTicket, createGuestReply);
+router.get('/guest/ticket/attachments/:attachmentId', protectGuestTicket, downloadGuestAttachment);
+
+// Short-lived signed download links (the token is the credential)
+router.get('/attachments/signed', downloadSignedAttachment);
 
-// Public route - anyone can submit a support request
-router.post('/', createSupportRequest);
+// Protected routes - users see their own requests, staff see everything (checked in the controller)
+router.get('/', authenticated, requirePermission('ticket:read:own'), getAllSupportRequests);
+router.get('/tags', authenticated, requirePermission('ticket:read:any'), getSupportRequestTags);
+router.get('/mine', authenticated, requirePermission('ticket:read:own'), getMySupportRequests);
+router.get('/:id', authenticated, requirePermission('ticket:read:own'), getSupportRequest);
+router.get('/:id/transitions', authenticated, requirePermission('ticket:read:own'), getSupportRequestTransitions);
+router.get('/:id/messages', authenticated, requirePermission('ticket:read:own'), getTicketMessages);
+router.post('/:id/messages', authenticated, requirePermission('ticket:reply'), createTicketMessage);
+router.get('/:id/attachments/:attachmentId', authenticated, requirePermission('ticket:read:own'), downloadAttachment);
+router.get('/:id/attachments/:attachmentId/url', authenticated, requirePermission('ticket:read:own'), getAttachmentDownloadUrl);
 
-// Protected routes - require authentication (temporarily without role check)
-router.get('/', protect, getAllSupportRequests);
-router.get('/:id', protect, getSupportRequest);
-router.put('/:id', protect, updateSupportRequestStatus);
-router.delete('/:id', protect, deleteSupportRequest);
+// Staff routes
+router.post('/bulk/update', authenticated, requirePermission('ticket:update'), bulkUpdateSupportRequests);
+router.post('/bulk/delete', authenticated, requirePermission('ticket:delete'), bulkDeleteSupportRequests);
+router.post('/:id/merge', authenticated, requirePermission('ticket:merge'), mergeSupportRequests);
+router.put('/:id', authenticated, requirePermission('ticket:update'), updateSupportRequestStatus);
+router.patch('/:id/assignment', authenticated, requirePermission('ticket:assign'), assignSupportRequest);
+router.patch('/:id/classification', authenticated, requirePermission('ticket:update'), updateSupportRequestClassification);
+router.delete('/:id', authenticated, requirePermission('ticket:delete'), deleteSupportRequest);
 
 module.exports = router;
\ No newline at end of file
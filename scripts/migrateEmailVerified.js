@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const User = require('../models/User');
+
+dotenv.config();
+
+// One-off backfill: accounts created before email verification existed have
+// no emailVerified field and would otherwise read as unverified
+const migrate = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ MongoDB connected');
+
+    const result = await User.updateMany(
+      { emailVerified: { $exists: false } },
+      { $set: { emailVerified: true } },
+      { timestamps: false }
+    );
+    console.log(`✉️  ${result.modifiedCount} existing account(s) marked verified`);
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error migrating email verification:', error);
+    process.exit(1);
+  }
+};
+
+migrate();
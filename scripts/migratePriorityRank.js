@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const SupportRequest = require('../models/SupportRequest');
+
+dotenv.config();
+
+// One-off backfill of priorityRank for tickets created before it existed
+const migrate = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ MongoDB connected');
+
+    for (const [priority, rank] of Object.entries(SupportRequest.PRIORITY_RANK)) {
+      const result = await SupportRequest.updateMany(
+        { priority, priorityRank: { $ne: rank } },
+        { $set: { priorityRank: rank } },
+        { timestamps: false }
+      );
+      console.log(`🔢 ${priority}: ${result.modifiedCount} ticket(s) updated`);
+    }
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error migrating priority ranks:', error);
+    process.exit(1);
+  }
+};
+
+migrate();
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
 const dotenv = require('dotenv');
 const User = require('../models/User');
 
@@ -23,22 +24,24 @@ const seedAdmin = async () => {
       process.exit(0);
     }
 
-    // Create admin user
+    // Create admin user (random password unless ADMIN_PASSWORD is set)
+    const adminPassword = process.env.ADMIN_PASSWORD || crypto.randomBytes(12).toString('base64url');
     const salt = await bcrypt.genSalt(10);
-    const hashedPassword = await bcrypt.hash('admin123', salt);
+    const hashedPassword = await bcrypt.hash(adminPassword, salt);
 
     const admin = await User.create({
       name: 'Admin User',
       email: adminEmail,
       password: hashedPassword,
       role: 'admin',
-      authProvider: 'local'
+      authProvider: 'local',
+      emailVerified: true
     });
 
     console.log('✅ Admin user created successfully');
     console.log('📧 Email:', admin.email);
-    console.log('🔑 Password: admin123');
-    console.log('⚠️  Please change the password after first login!');
+    console.log('🔑 Password:', process.env.ADMIN_PASSWORD ? '(from ADMIN_PASSWORD)' : adminPassword);
+    console.log('⚠️  Please change the password and enable 2FA after first login!');
 
     process.exit(0);
   } catch (error) {
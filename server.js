@@ -4,11 +4,25 @@ const dotenv = require('dotenv');
 const mongoose = require('mongoose');
 const authRoutes = require('./routes/auth');
 const supportRoutes = require('./routes/support');
+const adminRoutes = require('./routes/admin');
+const queueRoutes = require('./routes/queues');
+const categoryRoutes = require('./routes/categories');
+const cannedResponseRoutes = require('./routes/cannedResponses');
+const inboundRoutes = require('./routes/inbound');
+const { startSlaScheduler } = require('./services/slaScheduler');
+const { startInboundMailPoller } = require('./services/inboundMailDir');
+const { registerNotificationHandlers } = require('./services/notifications');
+const { startNotificationWorker } = require('./services/notifications/worker');
+const { registerWebhookHandlers } = require('./services/webhooks');
+const { startWebhookWorker } = require('./services/webhooks/worker');
 
 dotenv.config();
 
 const app = express();
 
+// Behind Vercel's proxy; needed for accurate req.ip on sessions
+app.set('trust proxy', 1);
+
 // ===============================
 // 🔹 1. MongoDB Connection
 // ===============================
@@ -33,7 +47,8 @@ mongoose.connection.on('disconnected', () => console.log('⚠️ Mongoose discon
 app.use((req, res, next) => {
   res.header('Access-Control-Allow-Origin', '*'); // Allow all origins
   res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, PATCH, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With');
+  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With, X-Ticket-Token');
+  res.header('Access-Control-Expose-Headers', 'Retry-After, RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset, X-Impersonated-By');
   if (req.method === 'OPTIONS') {
     return res.status(200).end();
   }
@@ -45,7 +60,8 @@ app.use(cors({
   origin: true,
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Ticket-Token'],
+  exposedHeaders: ['Retry-After', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'X-Impersonated-By'],
 }));
 
 app.options('*', cors()); // Handle preflight globally
@@ -70,6 +86,16 @@ app.use((req, res, next) => {
 // ===============================
 app.use('/api/auth', authRoutes);
 app.use('/api/support', supportRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/queues', queueRoutes);
+app.use('/api/categories', categoryRoutes);
+app.use('/api/canned-responses', cannedResponseRoutes);
+app.use('/api/inbound', inboundRoutes);
+
+// Ticket events → queued emails (sent by the notification worker)
+registerNotificationHandlers();
+// Ticket and user events → signed webhook deliveries (sent by the webhook worker)
+registerWebhookHandlers();
 
 app.get('/', (req, res) => {
   res.json({
@@ -80,6 +106,11 @@ app.get('/', (req, res) => {
       health: '/api/health',
       auth: '/api/auth',
       support: '/api/support',
+      admin: '/api/admin',
+      queues: '/api/queues',
+      categories: '/api/categories',
+      cannedResponses: '/api/canned-responses',
+      inbound: '/api/inbound',
     },
   });
 });
@@ -133,5 +164,9 @@ app.use((err, req, res, next) => {
   const PORT = process.env.PORT || 5000;
   app.listen(PORT, "0.0.0.0",() => {
     console.log(`🚀 Server running locally on port ${PORT}`);
+    startSlaScheduler();
+    startInboundMailPoller();
+    startNotificationWorker();
+    startWebhookWorker();
   });
 
@@ -0,0 +1,67 @@
+// services/accountService.js
+const ApiKey = require('../models/ApiKey');
+const Identity = require('../models/Identity');
+const Queue = require('../models/Queue');
+const Session = require('../models/Session');
+const SupportRequest = require('../models/SupportRequest');
+const TicketMessage = require('../models/TicketMessage');
+
+// Tickets outlive the account that filed them, but not its personal data: detach them
+// from the user and replace the contact details with a placeholder.
+const anonymiseSupportRequests = async (user) => {
+  const result = await SupportRequest.updateMany(
+    { $or: [{ userId: user._id }, { email: user.email }] },
+    {
+      $set: {
+        userId: null,
+        email: `deleted-user-${user._id}@anonymized.invalid`,
+        phoneNumber: ''
+      }
+    }
+  );
+  // Keep the thread readable without keeping the author's identity
+  await TicketMessage.updateMany(
+    { 'author.userId': user._id },
+    { $set: { author: { name: 'Deleted user' } } }
+  );
+
+  return result.modifiedCount;
+};
+
+// Reason an otherwise valid sign-in must be refused, or null
+const getLoginBlock = (user, { passwordLogin = false } = {}) => {
+  if (user.disabledAt) {
+    return {
+      status: 403,
+      message: 'This account has been disabled',
+      code: 'ACCOUNT_DISABLED'
+    };
+  }
+  if (passwordLogin && user.passwordResetRequired) {
+    return {
+      status: 403,
+      message: 'You must reset your password before signing in. Check your email for a reset link',
+      code: 'PASSWORD_RESET_REQUIRED'
+    };
+  }
+  return null;
+};
+
+// Remove a user together with everything that only makes sense while the account exists
+const deleteAccount = async (user) => {
+  const anonymisedTickets = await anonymiseSupportRequests(user);
+
+  await Promise.all([
+    // Work assigned to the user goes back to the queue
+    SupportRequest.updateMany({ assignee: user._id }, { $set: { assignee: null, assignedAt: null } }),
+    Queue.updateMany({ members: user._id }, { $pull: { members: user._id } }),
+    Session.deleteMany({ userId: user._id }),
+    Identity.deleteMany({ userId: user._id }),
+    ApiKey.deleteMany({ userId: user._id })
+  ]);
+  await user.deleteOne();
+
+  return { anonymisedTickets };
+};
+
+module.exports = { getLoginBlock, deleteAccount };
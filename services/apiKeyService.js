@@ -0,0 +1,48 @@
+// services/apiKeyService.js
+const crypto = require('crypto');
+const ApiKey = require('../models/ApiKey');
+const User = require('../models/User');
+const { randomToken, hashToken } = require('../utils/tokens');
+
+const KEY_PREFIX = 'rk';
+// Don't write lastUsedAt on every request
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+// Keys look like "rk_<prefix>_<secret>"
+const generateApiKey = () => {
+  const prefix = randomToken(6);
+  const key = `${KEY_PREFIX}_${prefix}_${randomToken(24)}`;
+  return { key, prefix, keyHash: hashToken(key) };
+};
+
+// Resolve a raw key to its active ApiKey document and owner, or null
+const authenticateApiKey = async (rawKey, ip) => {
+  const [scheme, prefix] = String(rawKey).split('_');
+  if (scheme !== KEY_PREFIX || !prefix) {
+    return null;
+  }
+
+  const apiKey = await ApiKey.findOne({ prefix });
+  if (!apiKey || !apiKey.isActive()) {
+    return null;
+  }
+
+  const presented = Buffer.from(hashToken(rawKey));
+  const stored = Buffer.from(apiKey.keyHash);
+  if (presented.length !== stored.length || !crypto.timingSafeEqual(presented, stored)) {
+    return null;
+  }
+
+  const user = await User.findById(apiKey.userId);
+  if (!user) {
+    return null;
+  }
+
+  if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt.getTime() > LAST_USED_RESOLUTION_MS) {
+    await ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: new Date(), lastUsedIp: ip });
+  }
+
+  return { apiKey, user };
+};
+
+module.exports = { generateApiKey, authenticateApiKey };
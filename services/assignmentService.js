@@ -0,0 +1,67 @@
+// services/assignmentService.js
+const Queue = require('../models/Queue');
+const SupportRequest = require('../models/SupportRequest');
+const User = require('../models/User');
+const { hasPermission } = require('../config/permissions');
+
+const OPEN_STATUSES = ['pending', 'in-progress'];
+
+// Queue members who can currently take tickets
+const eligibleMembers = async (queue) => {
+  const users = await User.find({ _id: { $in: queue.members }, disabledAt: null }).select('role');
+  const eligible = new Set(
+    users.filter(user => hasPermission(user.role, 'ticket:update')).map(user => String(user._id))
+  );
+  // Keep the queue's member order so round-robin is predictable
+  return queue.members.filter(memberId => eligible.has(String(memberId)));
+};
+
+const pickRoundRobin = async (queue, members) => {
+  const updated = await Queue.findByIdAndUpdate(
+    queue._id,
+    { $inc: { roundRobinCounter: 1 } },
+    { new: true }
+  );
+  return members[(updated.roundRobinCounter - 1) % members.length];
+};
+
+const pickLeastOpen = async (members) => {
+  const counts = await SupportRequest.aggregate([
+    { $match: { assignee: { $in: members }, status: { $in: OPEN_STATUSES } } },
+    { $group: { _id: '$assignee', open: { $sum: 1 } } }
+  ]);
+  const openByMember = new Map(counts.map(count => [String(count._id), count.open]));
+
+  return members.reduce((best, memberId) => {
+    const open = openByMember.get(String(memberId)) || 0;
+    return !best || open < best.open ? { memberId, open } : best;
+  }, null).memberId;
+};
+
+// Route a new ticket to a queue (the default one unless given) and, if the queue
+// auto-assigns, pick an agent. Mutates the ticket; the caller saves it.
+const routeTicket = async (supportRequest, queue) => {
+  const target = queue || await Queue.findDefault();
+  if (!target) {
+    return supportRequest;
+  }
+
+  supportRequest.queue = target._id;
+
+  if (target.autoAssign && target.autoAssign.enabled) {
+    const members = await eligibleMembers(target);
+    if (members.length > 0) {
+      supportRequest.assignee = target.autoAssign.strategy === 'least-open'
+        ? await pickLeastOpen(members)
+        : await pickRoundRobin(target, members);
+      supportRequest.assignedAt = new Date();
+    }
+  }
+
+  return supportRequest;
+};
+
+// Can this user be assigned tickets at all?
+const isAssignable = (user) => Boolean(user) && !user.disabledAt && hasPermission(user.role, 'ticket:update');
+
+module.exports = { routeTicket, isAssignable, OPEN_STATUSES };
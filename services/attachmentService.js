@@ -0,0 +1,169 @@
+// services/attachmentService.js
+const path = require('path');
+const jwt = require('jsonwebtoken');
+const TicketMessage = require('../models/TicketMessage');
+const { getDriver, createLocalDriver, createS3Driver } = require('./storage');
+const { randomToken } = require('../utils/tokens');
+
+const URL_TTL_SECONDS = parseInt(process.env.ATTACHMENT_URL_TTL_SECONDS, 10) || 300;
+
+const factories = { local: createLocalDriver, s3: createS3Driver };
+const otherDrivers = {};
+
+// Attachments remember the driver they were written with, so switching
+// STORAGE_DRIVER doesn't orphan older files. Records from before drivers
+// existed only have a local `path`.
+const locate = (attachment) => {
+  if (!attachment.key) {
+    return { driver: getDriver().name === 'local' ? getDriver() : createLocalDriver(), key: path.basename(attachment.path || '') };
+  }
+  const current = getDriver();
+  if (!attachment.storage || attachment.storage === current.name) {
+    return { driver: current, key: attachment.key };
+  }
+  if (!otherDrivers[attachment.storage]) {
+    otherDrivers[attachment.storage] = factories[attachment.storage]();
+  }
+  return { driver: otherDrivers[attachment.storage], key: attachment.key };
+};
+
+// Save multer's in-memory files through the storage driver; returns the attachment records.
+// If one upload fails the ones already stored are removed again.
+const storeAttachments = async (files = []) => {
+  const driver = getDriver();
+  const attachments = [];
+
+  try {
+    for (const file of files) {
+      const key = `support-${Date.now()}-${randomToken(8)}${path.extname(file.originalname).toLowerCase()}`;
+      await driver.put(key, file.buffer, { contentType: file.mimetype });
+      const attachment = {
+        filename: file.originalname,
+        key,
+        storage: driver.name,
+        mimetype: file.mimetype,
+        size: file.size
+      };
+      attachments.push(attachment);
+
+      if (file.thumbnail) {
+        const { buffer, mimetype, width, height } = file.thumbnail;
+        await driver.put(`${key}.thumb.webp`, buffer, { contentType: mimetype });
+        attachment.thumbnail = { key: `${key}.thumb.webp`, mimetype, width, height };
+      }
+    }
+  } catch (error) {
+    await removeAttachments(attachments);
+    throw error;
+  }
+
+  return attachments;
+};
+
+// Remove stored attachments (e.g. when their ticket is deleted). Never throws: a file
+// that can't be removed is logged and left behind rather than failing the request.
+const removeAttachments = async (attachments = []) => {
+  await Promise.all(attachments.map(async (attachment) => {
+    try {
+      const { driver, key } = locate(attachment);
+      if (key) {
+        await driver.remove(key);
+      }
+      if (attachment.thumbnail && attachment.thumbnail.key) {
+        await driver.remove(attachment.thumbnail.key);
+      }
+    } catch (error) {
+      console.error('Attachment removal error:', error);
+    }
+  }));
+};
+
+// { stream, size } for the stored file; rejects with status 404 when it is gone
+const openAttachment = (attachment) => {
+  const { driver, key } = locate(attachment);
+  return driver.get(key);
+};
+
+// The thumbnail of an image attachment, shaped like an attachment of its own; null if there is none
+const thumbnailOf = (attachment) => {
+  if (!attachment.thumbnail || !attachment.thumbnail.key) {
+    return null;
+  }
+  return {
+    filename: `${path.parse(attachment.filename).name}-thumbnail.webp`,
+    key: attachment.thumbnail.key,
+    storage: attachment.storage,
+    mimetype: attachment.thumbnail.mimetype
+  };
+};
+
+// Find an attachment on a ticket or any message in its thread. Internal notes'
+// attachments are only returned when `includeInternal` is set (staff).
+const findTicketAttachment = async (supportRequest, attachmentId, { includeInternal = false } = {}) => {
+  const onTicket = supportRequest.attachments.find(attachment => String(attachment._id) === String(attachmentId));
+  if (onTicket) {
+    return onTicket;
+  }
+
+  const query = { ticketId: supportRequest._id, 'attachments._id': attachmentId };
+  if (!includeInternal) {
+    query.visibility = 'public';
+  }
+  const message = await TicketMessage.findOne(query);
+  return message ? message.attachments.id(attachmentId) : null;
+};
+
+// Token for GET /api/support/attachments/signed, for drivers without URLs of their own
+const createDownloadToken = (attachment, disposition) => {
+  return jwt.sign({
+    purpose: 'attachment',
+    attachment: {
+      filename: attachment.filename,
+      key: attachment.key,
+      storage: attachment.storage,
+      path: attachment.path,
+      mimetype: attachment.mimetype
+    },
+    disposition
+  }, process.env.JWT_SECRET, { expiresIn: URL_TTL_SECONDS });
+};
+
+const verifyDownloadToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === 'attachment' ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Short-lived URL that downloads the attachment without an Authorization header
+// (for <img> tags and browser downloads). `apiBaseUrl` is this API's origin.
+const getAttachmentUrl = async (attachment, { apiBaseUrl, disposition = 'attachment' }) => {
+  const expiresAt = new Date(Date.now() + URL_TTL_SECONDS * 1000);
+  const { driver, key } = locate(attachment);
+
+  const url = await driver.getSignedUrl(key, {
+    expiresIn: URL_TTL_SECONDS,
+    filename: attachment.filename,
+    contentType: attachment.mimetype,
+    disposition
+  });
+  if (url) {
+    return { url, expiresAt };
+  }
+
+  const signed = new URL('/api/support/attachments/signed', apiBaseUrl);
+  signed.searchParams.set('token', createDownloadToken(attachment, disposition));
+  return { url: signed.toString(), expiresAt };
+};
+
+module.exports = {
+  storeAttachments,
+  removeAttachments,
+  openAttachment,
+  thumbnailOf,
+  findTicketAttachment,
+  verifyDownloadToken,
+  getAttachmentUrl
+};
@@ -0,0 +1,160 @@
+// services/auditService.js
+const crypto = require('crypto');
+const AuditLog = require('../models/AuditLog');
+
+const GENESIS_HASH = '0'.repeat(64);
+const MAX_APPEND_ATTEMPTS = 5;
+
+// JSON with sorted keys, so the same entry always hashes the same way. Null, undefined
+// and empty objects are treated alike because Mongo drops them on write.
+const canonicalize = (value) => {
+  if (value === undefined || value === null) {
+    return 'null';
+  }
+  if (value instanceof Date) {
+    return JSON.stringify(value.toISOString());
+  }
+  if (typeof value.toHexString === 'function') {
+    return JSON.stringify(value.toHexString());
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(',')}]`;
+  }
+  if (typeof value === 'object') {
+    const members = Object.keys(value)
+      .sort()
+      .map(key => [key, canonicalize(value[key])])
+      .filter(([, canonical]) => canonical !== 'null');
+    if (members.length === 0) {
+      return 'null';
+    }
+    return `{${members.map(([key, canonical]) => `${JSON.stringify(key)}:${canonical}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+const HASHED_FIELDS = ['sequence', 'action', 'actor', 'target', 'changes', 'metadata', 'ip', 'userAgent', 'createdAt'];
+
+const computeHash = (entry, prevHash) => {
+  const content = {};
+  HASHED_FIELDS.forEach(field => {
+    content[field] = entry[field];
+  });
+  return crypto.createHash('sha256').update(prevHash + canonicalize(content)).digest('hex');
+};
+
+// Plain copy of a document for diffing
+const snapshot = (doc) => {
+  if (!doc) {
+    return {};
+  }
+  return JSON.parse(JSON.stringify(typeof doc.toObject === 'function' ? doc.toObject() : doc));
+};
+
+// { field: { from, to } } for every top-level field that differs
+const diff = (before, after, fields) => {
+  const from = snapshot(before);
+  const to = snapshot(after);
+  const keys = fields || [...new Set([...Object.keys(from), ...Object.keys(to)])];
+  const changes = {};
+
+  keys
+    .filter(key => !['_id', '__v', 'createdAt', 'updatedAt'].includes(key))
+    .forEach(key => {
+      if (canonicalize(from[key]) !== canonicalize(to[key])) {
+        changes[key] = { from: from[key], to: to[key] };
+      }
+    });
+
+  return Object.keys(changes).length > 0 ? changes : undefined;
+};
+
+// No request (background jobs) means the system acted; the entry has no actor
+const actorFromRequest = (req) => {
+  if (!req || !req.user) {
+    return undefined;
+  }
+  return {
+    userId: req.user.id,
+    email: req.user.email,
+    role: req.user.role,
+    impersonatedBy: req.user.impersonatedBy,
+    apiKeyId: req.user.apiKeyId
+  };
+};
+
+// Append an entry to the chain. The unique sequence makes concurrent writers retry
+// against the new head instead of forking the chain.
+const append = async (fields) => {
+  for (let attempt = 1; attempt <= MAX_APPEND_ATTEMPTS; attempt++) {
+    const head = await AuditLog.findOne().sort({ sequence: -1 }).select('sequence hash').lean();
+    const entry = {
+      ...fields,
+      sequence: head ? head.sequence + 1 : 1,
+      createdAt: new Date()
+    };
+    entry.prevHash = head ? head.hash : GENESIS_HASH;
+    entry.hash = computeHash(entry, entry.prevHash);
+
+    try {
+      return await AuditLog.create(entry);
+    } catch (error) {
+      if (error.code !== 11000 || attempt === MAX_APPEND_ATTEMPTS) {
+        throw error;
+      }
+    }
+  }
+};
+
+// Record an audited event. Auditing must never break the request it describes,
+// so failures are logged rather than thrown.
+//   action   - e.g. 'auth.login', 'ticket.update'
+//   target   - { type, id }
+//   before/after - documents to diff (or `changes` directly)
+//   actor    - overrides the request user (e.g. at login, before req.user exists)
+const recordAudit = async (req, { action, target, before, after, changes, metadata, actor }) => {
+  try {
+    const entryActor = actor
+      ? { userId: actor._id || actor.id, email: actor.email, role: actor.role }
+      : actorFromRequest(req);
+
+    await append({
+      action,
+      actor: entryActor,
+      target: target ? { type: target.type, id: target.id && String(target.id) } : undefined,
+      changes: changes || ((before || after) ? diff(before, after) : undefined),
+      metadata,
+      ip: req && req.ip,
+      userAgent: req && req.headers && req.headers['user-agent']
+    });
+  } catch (error) {
+    console.error(`Audit log error (${action}):`, error);
+  }
+};
+
+// Walk the chain and report the first entry whose hash or link doesn't match
+const verifyChain = async () => {
+  let prevHash = GENESIS_HASH;
+  let expectedSequence = 1;
+  let checked = 0;
+
+  const cursor = AuditLog.find().sort({ sequence: 1 }).lean().cursor();
+  for await (const entry of cursor) {
+    if (entry.sequence !== expectedSequence) {
+      return { valid: false, checked, brokenAt: expectedSequence, reason: 'missing entry' };
+    }
+    if (entry.prevHash !== prevHash) {
+      return { valid: false, checked, brokenAt: entry.sequence, reason: 'broken link' };
+    }
+    if (computeHash(entry, prevHash) !== entry.hash) {
+      return { valid: false, checked, brokenAt: entry.sequence, reason: 'content modified' };
+    }
+    prevHash = entry.hash;
+    expectedSequence++;
+    checked++;
+  }
+
+  return { valid: true, checked };
+};
+
+module.exports = { recordAudit, verifyChain, diff };
@@ -0,0 +1,96 @@
+// services/bulkTicketService.js
+const mongoose = require('mongoose');
+const SupportRequest = require('../models/SupportRequest');
+const { buildTicketSearch } = require('./ticketSearch');
+
+// Upper bound on tickets touched by one bulk request; larger selections must be narrowed
+const MAX_BULK_TICKETS = 500;
+
+// Ticket list parameters that narrow the selection; paging and sort keys don't
+const FILTER_KEYS = [
+  'q', 'status', 'priority', 'sla', 'category', 'tags', 'view', 'assignee', 'queue', 'userId',
+  'hasAttachments', 'createdFrom', 'createdTo', 'updatedFrom', 'updatedTo'
+];
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+// The tickets a bulk request targets: an explicit `ids` list, or a `filter` object that takes
+// the same parameters as the ticket list (q, status, priority, assignee, queue, ...).
+// Returns { ids, tickets }; ids keeps the requested order, including ids that don't exist.
+const selectTickets = async ({ ids, filter }, user) => {
+  if ((ids === undefined) === (filter === undefined)) {
+    throw badRequest('Send either ids or filter');
+  }
+
+  if (ids !== undefined) {
+    if (!Array.isArray(ids) || ids.length === 0 || ids.length > MAX_BULK_TICKETS) {
+      throw badRequest(`ids must be an array of 1 to ${MAX_BULK_TICKETS} ticket ids`);
+    }
+    if (ids.some(id => typeof id !== 'string' || !mongoose.isValidObjectId(id))) {
+      throw badRequest('ids must only contain valid ticket ids');
+    }
+    const uniqueIds = [...new Set(ids.map(String))];
+    const tickets = await SupportRequest.find({ _id: { $in: uniqueIds } });
+    return { ids: uniqueIds, tickets };
+  }
+
+  if (!filter || typeof filter !== 'object' || Array.isArray(filter) || Object.keys(filter).length === 0) {
+    throw badRequest('filter must be an object with at least one ticket list parameter');
+  }
+  const unknown = Object.keys(filter).filter(key => !FILTER_KEYS.includes(key));
+  if (unknown.length > 0) {
+    throw badRequest(`Unknown filter parameters: ${unknown.join(', ')}. Allowed: ${FILTER_KEYS.join(', ')}`);
+  }
+  const { countFilter } = buildTicketSearch(filter, user);
+  // Empty values reduce to no condition at all, which would select every ticket
+  if (!countFilter.$and && !countFilter.$text) {
+    throw badRequest('filter must narrow the selection with at least one non-empty parameter');
+  }
+  const total = await SupportRequest.countDocuments(countFilter);
+  if (total > MAX_BULK_TICKETS) {
+    throw badRequest(`The filter matches ${total} tickets; narrow it down to at most ${MAX_BULK_TICKETS}`);
+  }
+  const tickets = await SupportRequest.find(countFilter).sort({ createdAt: 1 });
+  return { ids: tickets.map(ticket => String(ticket._id)), tickets };
+};
+
+// Run `operation(ticket)` on each selected ticket in turn. One ticket failing doesn't stop
+// the rest; every id gets a result of { id, success, result } or { id, success, status, message }.
+const runBulk = async ({ ids, tickets }, operation) => {
+  const byId = new Map(tickets.map(ticket => [String(ticket._id), ticket]));
+  const results = [];
+
+  for (const id of ids) {
+    const ticket = byId.get(id);
+    if (!ticket) {
+      results.push({ id, success: false, status: 404, message: 'Support request not found' });
+      continue;
+    }
+    try {
+      results.push({ id, success: true, result: await operation(ticket) });
+    } catch (error) {
+      if (!error.status) {
+        console.error(`Bulk operation error (ticket ${id}):`, error);
+      }
+      results.push({
+        id,
+        success: false,
+        status: error.status || 500,
+        message: error.status ? error.message : 'Unexpected error',
+        code: error.code
+      });
+    }
+  }
+
+  const succeeded = results.filter(result => result.success).length;
+  return {
+    results,
+    summary: { requested: ids.length, succeeded, failed: ids.length - succeeded }
+  };
+};
+
+module.exports = { MAX_BULK_TICKETS, selectTickets, runBulk };
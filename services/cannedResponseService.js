@@ -0,0 +1,35 @@
+// services/cannedResponseService.js
+const { fillPlaceholders, listPlaceholders } = require('../utils/placeholders');
+
+// Placeholders a canned response may use, with what each one is filled with
+const PLACEHOLDERS = {
+  ticketId: 'Ticket id',
+  ticketSubject: 'Ticket subject',
+  ticketStatus: 'Ticket status',
+  ticketPriority: 'Ticket priority',
+  category: 'Ticket category name',
+  requesterName: 'Requester name (their email for guests)',
+  requesterEmail: 'Requester email',
+  agentName: 'Name of the agent inserting the response'
+};
+
+// Names in `body` that aren't placeholders we know how to fill
+const unknownPlaceholders = (body) => listPlaceholders(body).filter(name => !Object.hasOwn(PLACEHOLDERS, name));
+
+// Fill a canned response for a ticket. The ticket needs `userId` and `category` populated
+// for the requester name and category placeholders.
+const renderCannedResponse = (cannedResponse, supportRequest, agent) => {
+  const requester = supportRequest.userId && supportRequest.userId.name ? supportRequest.userId : null;
+  return fillPlaceholders(cannedResponse.body, {
+    ticketId: supportRequest._id,
+    ticketSubject: supportRequest.subject,
+    ticketStatus: supportRequest.status,
+    ticketPriority: supportRequest.priority,
+    category: supportRequest.category && supportRequest.category.name,
+    requesterName: requester ? requester.name : supportRequest.email,
+    requesterEmail: supportRequest.email,
+    agentName: agent.name
+  });
+};
+
+module.exports = { PLACEHOLDERS, unknownPlaceholders, renderCannedResponse };
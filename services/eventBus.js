@@ -0,0 +1,21 @@
+// services/eventBus.js
+const { EventEmitter } = require('events');
+
+// In-process domain events ("ticket.created", ...). Subscribers run after the publisher has
+// finished its own work and can never fail it: errors are logged, not thrown.
+const emitter = new EventEmitter();
+emitter.setMaxListeners(50);
+
+const subscribe = (event, handler) => {
+  emitter.on(event, (payload) => {
+    Promise.resolve()
+      .then(() => handler(payload))
+      .catch(error => console.error(`Event handler error (${event}):`, error));
+  });
+};
+
+const publish = (event, payload) => {
+  emitter.emit(event, payload);
+};
+
+module.exports = { subscribe, publish };
@@ -0,0 +1,59 @@
+// services/guestAccessService.js
+const jwt = require('jsonwebtoken');
+const SupportRequest = require('../models/SupportRequest');
+const { sendMail } = require('./mail');
+const { clientUrl } = require('../utils/urls');
+const { subjectToken, ticketMessageId } = require('../utils/mailThreading');
+
+const GUEST_LINK_TTL_DAYS = parseInt(process.env.GUEST_LINK_TTL_DAYS, 10) || 30;
+
+// Signed link token for one ticket. It is bound to the requester's email, so it stops
+// working if the ticket is deleted or its email changes; it is not accepted by `protect`.
+const createGuestToken = (supportRequest) => {
+  return jwt.sign(
+    { tid: String(supportRequest._id), email: supportRequest.email, purpose: 'ticket-access' },
+    process.env.JWT_SECRET,
+    { expiresIn: `${GUEST_LINK_TTL_DAYS}d` }
+  );
+};
+
+// Returns the ticket the token grants access to, or null
+const findTicketByGuestToken = async (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    return null;
+  }
+  if (decoded.purpose !== 'ticket-access') {
+    return null;
+  }
+
+  const supportRequest = await SupportRequest.findById(decoded.tid);
+  if (!supportRequest || supportRequest.email !== decoded.email) {
+    return null;
+  }
+  return supportRequest;
+};
+
+// Email the requester a link to view and reply to their ticket without an account
+const sendGuestLinkEmail = async (supportRequest) => {
+  const link = clientUrl('/tickets/guest', { token: createGuestToken(supportRequest) });
+
+  await sendMail({
+    to: supportRequest.email,
+    subject: `${subjectToken(supportRequest._id)} ${supportRequest.subject}`,
+    text: `Hi,\n\nWe received your support request "${supportRequest.subject}".\n\n` +
+      `Use this link to follow its progress and reply to our team. It works for ${GUEST_LINK_TTL_DAYS} days; ` +
+      `you can request a new one at any time.\n\n${link}\n\n` +
+      'Anyone with this link can read the ticket, so please do not share it.\n\n' +
+      'You can also reply to this email to add to your request.',
+    headers: { 'Message-ID': ticketMessageId(supportRequest._id) }
+  });
+};
+
+module.exports = {
+  createGuestToken,
+  findTicketByGuestToken,
+  sendGuestLinkEmail
+};
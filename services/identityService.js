@@ -0,0 +1,136 @@
+// services/identityService.js
+const bcrypt = require('bcryptjs');
+const { OAuth2Client } = require('google-auth-library');
+const Identity = require('../models/Identity');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const oidcProviders = require('../config/oidcProviders');
+const { verifyIdToken, exchangeCode } = require('./oidcClient');
+
+const googleClient = new OAuth2Client(process.env.GOOGLE_CLIENT_ID);
+
+// How recent a login must be to count as re-authentication for users without a password
+const REAUTH_WINDOW_MS = (parseInt(process.env.REAUTH_WINDOW_MINUTES, 10) || 10) * 60 * 1000;
+
+const identityError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const isKnownProvider = (provider) => provider === 'google' || Boolean(oidcProviders[provider]);
+
+// Verify the credential posted by the client and return the provider profile:
+//   google       - { credential } (ID token from Google Identity Services)
+//   oidc         - { idToken } or { code, redirectUri, codeVerifier }
+const verifyProviderCredential = async (provider, body) => {
+  if (provider === 'google') {
+    if (!body.credential) {
+      throw identityError('Google credential is required');
+    }
+    const ticket = await googleClient.verifyIdToken({
+      idToken: body.credential,
+      audience: process.env.GOOGLE_CLIENT_ID
+    });
+    const payload = ticket.getPayload();
+    return {
+      subject: payload.sub,
+      email: payload.email,
+      emailVerified: payload.email_verified === true,
+      name: payload.name
+    };
+  }
+
+  const config = oidcProviders[provider];
+  if (!config) {
+    throw identityError('Unknown identity provider', 404);
+  }
+
+  let { idToken } = body;
+  if (!idToken && body.code) {
+    const tokens = await exchangeCode(config, body);
+    idToken = tokens.id_token;
+  }
+  if (!idToken) {
+    throw identityError('An ID token or authorization code is required');
+  }
+
+  const claims = await verifyIdToken(config, idToken);
+  return {
+    subject: claims.sub,
+    email: claims.email || claims.preferred_username,
+    emailVerified: claims.email_verified === true,
+    name: claims.name
+  };
+};
+
+// Find the user who owns this provider identity. Google accounts created before the
+// identities collection only have `googleId`; those get an identity on first use.
+const findUserByIdentity = async (provider, profile) => {
+  const identity = await Identity.findOne({ provider, subject: profile.subject });
+  if (identity) {
+    identity.lastLoginAt = new Date();
+    await identity.save();
+    return User.findById(identity.userId);
+  }
+
+  if (provider === 'google') {
+    const legacyUser = await User.findByGoogleId(profile.subject);
+    if (legacyUser) {
+      await linkIdentity(legacyUser, provider, profile);
+      return legacyUser;
+    }
+  }
+
+  return null;
+};
+
+const linkIdentity = async (user, provider, profile) => {
+  const existing = await Identity.findOne({ provider, subject: profile.subject });
+  if (existing) {
+    if (String(existing.userId) !== String(user._id)) {
+      throw identityError('This account is already linked to another user', 409);
+    }
+    return existing;
+  }
+
+  return Identity.create({
+    userId: user._id,
+    provider,
+    subject: profile.subject,
+    email: profile.email,
+    emailVerified: profile.emailVerified,
+    lastLoginAt: new Date()
+  });
+};
+
+// Number of ways the user can still sign in (password + linked identities)
+const countLoginMethods = async (user) => {
+  const identities = await Identity.countDocuments({ userId: user._id });
+  return identities + (user.password ? 1 : 0);
+};
+
+// Sensitive changes need proof the account holder is present: the current password, or for
+// accounts without one, a session that signed in within the re-authentication window.
+const reauthenticate = async (user, { password }, sessionId) => {
+  if (user.password) {
+    if (!password || !(await bcrypt.compare(password, user.password))) {
+      throw identityError('Current password is incorrect', 401);
+    }
+    return;
+  }
+
+  const session = sessionId ? await Session.findById(sessionId) : null;
+  if (!session || Date.now() - session.createdAt.getTime() > REAUTH_WINDOW_MS) {
+    throw identityError('Please sign in again to confirm this change', 401);
+  }
+};
+
+module.exports = {
+  isKnownProvider,
+  verifyProviderCredential,
+  findUserByIdentity,
+  linkIdentity,
+  countLoginMethods,
+  reauthenticate
+};
@@ -0,0 +1,184 @@
+// services/inboundEmailService.js
+const { simpleParser } = require('mailparser');
+const mongoose = require('mongoose');
+const SupportRequest = require('../models/SupportRequest');
+const TicketMessage = require('../models/TicketMessage');
+const User = require('../models/User');
+const { addMessage } = require('./ticketMessageService');
+const { routeTicket } = require('./assignmentService');
+const { applySla } = require('./slaService');
+const { storeAttachments, removeAttachments } = require('./attachmentService');
+const { inspectUploads } = require('./uploadInspection');
+const { publish } = require('./eventBus');
+const { recordAudit } = require('./auditService');
+const { ticketIdFromSubject, ticketIdFromReferences, stripQuotedReply } = require('../utils/mailThreading');
+
+// Same limits as the web form
+const MAX_ATTACHMENTS = 5;
+const MAX_ATTACHMENT_SIZE = 5 * 1024 * 1024;
+// TicketMessage's body limit; longer replies are cut and the full text attached
+const MAX_MESSAGE_LENGTH = 20000;
+const TRUNCATION_NOTICE = '\n\n[Message truncated, the full text is attached as message.txt]';
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+// Out-of-office and list mail would otherwise open tickets (and loop with our own emails)
+const isAutoGenerated = (headers) => {
+  const autoSubmitted = String(headers.get('auto-submitted') || 'no').toLowerCase();
+  const precedence = String(headers.get('precedence') || '').toLowerCase();
+  return autoSubmitted !== 'no' || headers.has('x-autoreply') || ['bulk', 'junk', 'list', 'auto_reply'].includes(precedence);
+};
+
+// The ticket this email replies to, if the sender is its requester. The From header is
+// not authenticated, so email never carries staff authority: agents reply in the app, and
+// anyone other than the requester (staff addresses included) starts a new ticket.
+const findThread = async (parsed, senderEmail) => {
+  const references = [parsed.inReplyTo, ...[].concat(parsed.references || [])];
+  const ticketId = ticketIdFromReferences(references) || ticketIdFromSubject(parsed.subject);
+  if (!ticketId || !mongoose.isValidObjectId(ticketId)) {
+    return null;
+  }
+
+  const supportRequest = await SupportRequest.findById(ticketId);
+  if (!supportRequest) {
+    return null;
+  }
+
+  if (supportRequest.email !== senderEmail) {
+    return null;
+  }
+  // Only the requester's own account is credited with the reply
+  const sender = supportRequest.userId ? await User.findById(supportRequest.userId) : null;
+  return { supportRequest, sender, authorType: 'customer' };
+};
+
+// Run email attachments through the same checks as uploads. Files that fail them are
+// skipped (and infected ones quarantined) instead of rejecting the whole email.
+const acceptAttachments = async (parsedAttachments, req) => {
+  const accepted = [];
+  const skipped = [];
+
+  for (const attachment of parsedAttachments.filter(item => item.contentDisposition !== 'inline' || item.filename)) {
+    const file = {
+      originalname: attachment.filename || 'attachment',
+      mimetype: attachment.contentType,
+      buffer: attachment.content,
+      size: attachment.size
+    };
+
+    if (accepted.length >= MAX_ATTACHMENTS || file.size > MAX_ATTACHMENT_SIZE) {
+      skipped.push({ filename: file.originalname, reason: 'too many or too large' });
+      continue;
+    }
+
+    try {
+      await inspectUploads([file], req);
+      accepted.push(file);
+    } catch (error) {
+      if (error.status !== 400) {
+        throw error;
+      }
+      skipped.push({ filename: file.originalname, reason: error.message });
+    }
+  }
+
+  return { accepted, skipped };
+};
+
+// Turn one raw RFC 822 message into a new ticket or a reply on an existing one.
+// `req` is the relay's HTTP request, or null for the mail directory.
+// Returns { outcome: 'created' | 'replied' | 'duplicate' | 'ignored', ticketId, skippedAttachments }.
+const ingestEmail = async (raw, { req = null } = {}) => {
+  const parsed = await simpleParser(raw);
+  const from = parsed.from && parsed.from.value && parsed.from.value[0];
+
+  if (!from || !from.address) {
+    throw badRequest('The message has no sender address');
+  }
+
+  const senderEmail = from.address.trim().toLowerCase();
+  const emailMessageId = parsed.messageId;
+
+  // Relays retry deliveries; the same message must not be ingested twice
+  if (emailMessageId && (
+    await SupportRequest.exists({ emailMessageId }) || await TicketMessage.exists({ emailMessageId })
+  )) {
+    return { outcome: 'duplicate' };
+  }
+
+  if (isAutoGenerated(parsed.headers)) {
+    return { outcome: 'ignored' };
+  }
+
+  const thread = await findThread(parsed, senderEmail);
+  const { accepted, skipped } = await acceptAttachments(parsed.attachments || [], req);
+  const attachments = await storeAttachments(accepted);
+  const text = (parsed.text || '').trim();
+
+  try {
+    if (thread) {
+      const { supportRequest, sender, authorType } = thread;
+      let body = stripQuotedReply(text) || text || '(empty message)';
+      if (body.length > MAX_MESSAGE_LENGTH) {
+        const fullText = Buffer.from(body, 'utf8');
+        attachments.push(...await storeAttachments([
+          { originalname: 'message.txt', mimetype: 'text/plain', buffer: fullText, size: fullText.length }
+        ]));
+        body = body.slice(0, MAX_MESSAGE_LENGTH - TRUNCATION_NOTICE.length) + TRUNCATION_NOTICE;
+      }
+
+      const { message, statusChange } = await addMessage(supportRequest, {
+        author: { userId: sender ? sender._id : undefined, name: from.name || (sender && sender.name), email: senderEmail },
+        authorType,
+        body,
+        attachments,
+        emailMessageId
+      });
+
+      await recordAudit(req, {
+        action: 'ticket.reply_added',
+        actor: sender || undefined,
+        target: { type: 'ticket', id: supportRequest._id },
+        changes: statusChange ? { status: statusChange } : undefined,
+        metadata: { messageId: message._id, authorType, via: 'email', from: senderEmail, attachments: attachments.length }
+      });
+
+      return { outcome: 'replied', ticketId: supportRequest._id, skippedAttachments: skipped };
+    }
+
+    // Link to an account only when that account has proven it owns the address
+    const owner = await User.findOne({ email: senderEmail, emailVerified: true, disabledAt: null });
+    const supportRequest = new SupportRequest({
+      subject: (parsed.subject || '(no subject)').trim().slice(0, 200),
+      description: text || '(empty message)',
+      email: senderEmail,
+      attachments,
+      userId: owner ? owner._id : null,
+      source: 'email',
+      emailMessageId
+    });
+
+    await routeTicket(supportRequest).catch(err => console.error('Ticket routing error:', err));
+    await applySla(supportRequest);
+    await supportRequest.save();
+    await recordAudit(req, {
+      action: 'ticket.created',
+      actor: owner || undefined,
+      target: { type: 'ticket', id: supportRequest._id },
+      metadata: { email: senderEmail, subject: supportRequest.subject, attachments: attachments.length, via: 'email' }
+    });
+
+    publish('ticket.created', { supportRequest });
+
+    return { outcome: 'created', ticketId: supportRequest._id, skippedAttachments: skipped };
+  } catch (error) {
+    await removeAttachments(attachments);
+    throw error;
+  }
+};
+
+module.exports = { ingestEmail };
@@ -0,0 +1,67 @@
+// services/inboundMailDir.js
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const { ingestEmail } = require('./inboundEmailService');
+
+let timer = null;
+let running = false;
+
+// Move a handled file out of the way so it is never ingested twice
+const moveTo = async (dir, subdir, file) => {
+  await fs.promises.mkdir(path.join(dir, subdir), { recursive: true });
+  await fs.promises.rename(path.join(dir, file), path.join(dir, subdir, file));
+};
+
+// Ingest every *.eml file in `dir`; successes go to processed/, failures to failed/
+const processMailDir = async (dir) => {
+  const summary = { processed: 0, failed: 0 };
+  const files = (await fs.promises.readdir(dir)).filter(file => file.toLowerCase().endsWith('.eml')).sort();
+
+  for (const file of files) {
+    try {
+      const result = await ingestEmail(await fs.promises.readFile(path.join(dir, file)));
+      console.log(`📥 Inbound mail ${file}: ${result.outcome}`);
+      await moveTo(dir, 'processed', file);
+      summary.processed++;
+    } catch (error) {
+      console.error(`❌ Inbound mail ${file} failed:`, error);
+      await moveTo(dir, 'failed', file);
+      summary.failed++;
+    }
+  }
+
+  return summary;
+};
+
+const tick = async (dir) => {
+  if (running || mongoose.connection.readyState !== 1) {
+    return;
+  }
+  running = true;
+  try {
+    await processMailDir(dir);
+  } catch (error) {
+    console.error('❌ Inbound mail directory error:', error);
+  } finally {
+    running = false;
+  }
+};
+
+// Poll INBOUND_MAIL_DIR (e.g. a maildrop written by the MTA) when it is configured
+const startInboundMailPoller = () => {
+  const dir = process.env.INBOUND_MAIL_DIR;
+  if (timer || !dir) {
+    return;
+  }
+  const intervalMs = parseInt(process.env.INBOUND_MAIL_POLL_MS, 10) || 60 * 1000;
+  timer = setInterval(() => tick(dir), intervalMs);
+  timer.unref();
+};
+
+const stopInboundMailPoller = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = { processMailDir, startInboundMailPoller, stopInboundMailPoller };
@@ -0,0 +1,18 @@
+// services/mail/consoleTransport.js
+
+// Development transport: prints messages to the server log
+const createConsoleTransport = () => {
+  return {
+    name: 'console',
+    send: async (message) => {
+      console.log('📧 Mail:', {
+        to: message.to,
+        subject: message.subject,
+        text: message.text
+      });
+      return { id: `console-${Date.now()}` };
+    }
+  };
+};
+
+module.exports = createConsoleTransport;
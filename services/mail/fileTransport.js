@@ -0,0 +1,20 @@
+// services/mail/fileTransport.js
+const fs = require('fs');
+const path = require('path');
+
+// Development/test transport: writes each message as a JSON file instead of sending it
+const createFileTransport = (dir = process.env.MAIL_FILE_DIR || 'tmp/mail') => {
+  return {
+    name: 'file',
+    dir,
+    send: async (message) => {
+      await fs.promises.mkdir(dir, { recursive: true });
+      const id = `mail-${Date.now()}-${Math.round(Math.random() * 1E9)}`;
+      const file = path.join(dir, `${id}.json`);
+      await fs.promises.writeFile(file, JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2));
+      return { id, file };
+    }
+  };
+};
+
+module.exports = createFileTransport;
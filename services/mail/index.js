@@ -0,0 +1,53 @@
+// services/mail/index.js
+const createSmtpTransport = require('./smtpTransport');
+const createFileTransport = require('./fileTransport');
+const createConsoleTransport = require('./consoleTransport');
+
+const transports = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  console: createConsoleTransport
+};
+
+let transport;
+
+// MAIL_TRANSPORT picks the transport; defaults to SMTP in production and the console elsewhere
+const getTransport = () => {
+  if (!transport) {
+    const name = process.env.MAIL_TRANSPORT ||
+      (process.env.NODE_ENV === 'production' ? 'smtp' : 'console');
+    const factory = transports[name];
+    if (!factory) {
+      throw new Error(`Unknown mail transport: ${name}`);
+    }
+    transport = factory();
+  }
+  return transport;
+};
+
+// Swap the transport at runtime (e.g. a file transport in tests)
+const setTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+// Send an email through the configured transport
+const sendMail = ({ to, subject, text, html, attachments, headers }) => {
+  return getTransport().send({
+    from: process.env.MAIL_FROM || 'Record Support <no-reply@record.com>',
+    to,
+    subject,
+    text,
+    html,
+    attachments,
+    headers
+  });
+};
+
+module.exports = {
+  sendMail,
+  getTransport,
+  setTransport,
+  createSmtpTransport,
+  createFileTransport,
+  createConsoleTransport
+};
@@ -0,0 +1,125 @@
+// services/notifications/index.js
+const NotificationJob = require('../../models/NotificationJob');
+const User = require('../../models/User');
+const { subscribe } = require('../eventBus');
+const { renderNotification } = require('./templates');
+const { createGuestToken } = require('../guestAccessService');
+const { clientUrl } = require('../../utils/urls');
+const { subjectToken, ticketMessageId } = require('../../utils/mailThreading');
+const { NOTIFICATION_PREFERENCES } = require('../../config/notifications');
+
+// Excerpt of a reply for the email body
+const MAX_BODY_PREVIEW = 2000;
+
+// Render now (so later template edits don't change queued mail) and queue for the worker
+const enqueueNotification = async (event, { to, locale, userId, supportRequest, values }) => {
+  const { subject, text } = renderNotification(event, locale, values);
+  return NotificationJob.create({
+    event,
+    to,
+    subject,
+    text,
+    headers: { 'Message-ID': ticketMessageId(supportRequest._id) },
+    ticketId: supportRequest._id,
+    userId
+  });
+};
+
+// Account holders can opt out per event; guests always hear about their own request
+const wantsNotification = (user, event) => {
+  if (!user) {
+    return true;
+  }
+  if (user.disabledAt) {
+    return false;
+  }
+  const key = Object.keys(NOTIFICATION_PREFERENCES).find(name => NOTIFICATION_PREFERENCES[name] === event);
+  return !key || !user.notificationPreferences || user.notificationPreferences[key] !== false;
+};
+
+// Queue a notification to the ticket's requester, in their language
+const notifyRequester = async (event, supportRequest, values = {}) => {
+  const user = supportRequest.userId ? await User.findById(supportRequest.userId) : null;
+  if (!wantsNotification(user, event)) {
+    return;
+  }
+
+  // Guests have no account, so their links carry a magic-link token
+  const ticketUrl = user
+    ? clientUrl(`/tickets/${supportRequest._id}`)
+    : clientUrl('/tickets/guest', { token: createGuestToken(supportRequest) });
+
+  await enqueueNotification(event, {
+    to: user ? user.email : supportRequest.email,
+    locale: user ? user.locale : supportRequest.locale,
+    userId: user ? user._id : undefined,
+    supportRequest,
+    values: {
+      name: user ? user.name : supportRequest.email,
+      ticketSubject: supportRequest.subject,
+      subjectToken: subjectToken(supportRequest._id),
+      status: supportRequest.status,
+      resolutionNote: supportRequest.resolutionNote,
+      ticketUrl,
+      ...values
+    }
+  });
+};
+
+// Queue a notification to the assigned agent (customer replies)
+const notifyAssignee = async (event, supportRequest, values = {}) => {
+  const user = supportRequest.assignee ? await User.findById(supportRequest.assignee) : null;
+  if (!user || !wantsNotification(user, event)) {
+    return;
+  }
+
+  await enqueueNotification(event, {
+    to: user.email,
+    locale: user.locale,
+    userId: user._id,
+    supportRequest,
+    values: {
+      name: user.name,
+      ticketSubject: supportRequest.subject,
+      subjectToken: subjectToken(supportRequest._id),
+      status: supportRequest.status,
+      ticketUrl: clientUrl(`/tickets/${supportRequest._id}`),
+      ...values
+    }
+  });
+};
+
+const preview = (body) => (body.length > MAX_BODY_PREVIEW ? `${body.slice(0, MAX_BODY_PREVIEW)}…` : body);
+
+// Wire the notification rules to ticket events. Called once at startup.
+const registerNotificationHandlers = () => {
+  subscribe('ticket.created', ({ supportRequest }) => notifyRequester('ticket.created', supportRequest));
+
+  // Resolutions get their own email with the resolution note; the requester
+  // isn't told about changes they made themselves (reopening by reply)
+  subscribe('ticket.status_changed', ({ supportRequest, from, to, byRequester }) => {
+    if (byRequester) {
+      return;
+    }
+    if (to === 'resolved') {
+      return notifyRequester('ticket.resolved', supportRequest);
+    }
+    return notifyRequester('ticket.status_changed', supportRequest, { previousStatus: from, status: to });
+  });
+
+  // Internal notes never leave the building
+  subscribe('ticket.replied', ({ supportRequest, message }) => {
+    if (message.visibility !== 'public') {
+      return;
+    }
+    const values = {
+      authorName: message.author.name || message.author.email || 'Support',
+      body: preview(message.body)
+    };
+    return message.authorType === 'agent'
+      ? notifyRequester('ticket.replied', supportRequest, values)
+      : notifyAssignee('ticket.replied', supportRequest, values);
+  });
+};
+
+module.exports = { registerNotificationHandlers, enqueueNotification };
@@ -0,0 +1,54 @@
+// services/notifications/templates.js
+const path = require('path');
+const { TEMPLATE_DIR, SUPPORTED_LOCALES, DEFAULT_LOCALE } = require('../../config/notifications');
+const { fillPlaceholders } = require('../../utils/placeholders');
+
+const catalogs = {};
+const catalog = (locale) => {
+  if (!catalogs[locale]) {
+    catalogs[locale] = require(path.join(TEMPLATE_DIR, `${locale}.json`));
+  }
+  return catalogs[locale];
+};
+
+// Best supported match for a stored locale or an Accept-Language header ("es-MX,es;q=0.9,en;q=0.8")
+const resolveLocale = (preferred) => {
+  const candidates = String(preferred || '')
+    .split(',')
+    .map(part => part.split(';')[0].trim().toLowerCase())
+    .filter(Boolean);
+
+  for (const candidate of candidates) {
+    if (SUPPORTED_LOCALES.includes(candidate)) {
+      return candidate;
+    }
+    const language = candidate.split('-')[0];
+    if (SUPPORTED_LOCALES.includes(language)) {
+      return language;
+    }
+  }
+  return DEFAULT_LOCALE;
+};
+
+// { subject, text } for an event in the given locale, falling back to the default locale
+const renderNotification = (event, locale, values) => {
+  const messages = catalog(resolveLocale(locale));
+  const template = messages[event] || catalog(DEFAULT_LOCALE)[event];
+  if (!template) {
+    throw new Error(`No notification template for ${event}`);
+  }
+
+  const statuses = messages.statuses || {};
+  const localized = {
+    ...values,
+    status: statuses[values.status] || values.status,
+    previousStatus: statuses[values.previousStatus] || values.previousStatus
+  };
+
+  return {
+    subject: fillPlaceholders(template.subject, localized),
+    text: fillPlaceholders(template.text, localized)
+  };
+};
+
+module.exports = { resolveLocale, renderNotification };
@@ -0,0 +1,91 @@
+// services/notifications/worker.js
+const mongoose = require('mongoose');
+const NotificationJob = require('../../models/NotificationJob');
+const { sendMail } = require('../mail');
+const { pollIntervalMs, maxAttempts, retryBaseMs } = require('../../config/notifications');
+
+// A job stuck in "sending" this long belonged to a worker that died mid-send
+const STALE_LOCK_MS = 10 * 60 * 1000;
+const BATCH_SIZE = 20;
+
+let timer = null;
+let running = false;
+
+// Atomically take the next due job so several instances never send the same email
+const claimNextJob = () => {
+  const now = new Date();
+  return NotificationJob.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'pending', nextAttemptAt: { $lte: now } },
+        { status: 'sending', lockedAt: { $lte: new Date(now.getTime() - STALE_LOCK_MS) } }
+      ]
+    },
+    { status: 'sending', lockedAt: now, $inc: { attempts: 1 } },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  );
+};
+
+const deliver = async (job) => {
+  try {
+    await sendMail({ to: job.to, subject: job.subject, text: job.text, headers: job.headers });
+    job.status = 'sent';
+    job.sentAt = new Date();
+    job.lastError = undefined;
+  } catch (error) {
+    // Exponential backoff: 1x, 2x, 4x ... the base delay
+    job.lastError = error.message;
+    if (job.attempts >= maxAttempts) {
+      job.status = 'failed';
+      console.error(`❌ Notification ${job._id} to ${job.to} failed permanently:`, error.message);
+    } else {
+      job.status = 'pending';
+      job.nextAttemptAt = new Date(Date.now() + retryBaseMs * 2 ** (job.attempts - 1));
+    }
+  }
+  job.lockedAt = undefined;
+  await job.save();
+};
+
+// Send up to one batch of due notifications; returns how many were attempted
+const processNotificationQueue = async () => {
+  let count = 0;
+  while (count < BATCH_SIZE) {
+    const job = await claimNextJob();
+    if (!job) {
+      break;
+    }
+    await deliver(job);
+    count++;
+  }
+  return count;
+};
+
+const tick = async () => {
+  if (running || mongoose.connection.readyState !== 1) {
+    return;
+  }
+  running = true;
+  try {
+    await processNotificationQueue();
+  } catch (error) {
+    console.error('❌ Notification worker error:', error);
+  } finally {
+    running = false;
+  }
+};
+
+const startNotificationWorker = () => {
+  if (timer || !pollIntervalMs) {
+    return;
+  }
+  timer = setInterval(tick, pollIntervalMs);
+  timer.unref();
+};
+
+const stopNotificationWorker = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = { processNotificationQueue, startNotificationWorker, stopNotificationWorker };
@@ -0,0 +1,99 @@
+// services/oidcClient.js
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const DISCOVERY_CACHE_MS = 60 * 60 * 1000;
+const cache = new Map();
+
+const oidcError = (message) => {
+  const error = new Error(message);
+  error.status = 401;
+  return error;
+};
+
+const fetchJson = async (url, options) => {
+  const response = await fetch(url, options);
+  if (!response.ok) {
+    throw new Error(`OIDC request to ${url} failed with ${response.status}`);
+  }
+  return response.json();
+};
+
+// Discovery document and signing keys, cached per issuer
+const getIssuerMetadata = async (issuer, { refreshKeys = false } = {}) => {
+  const cached = cache.get(issuer);
+  if (cached && !refreshKeys && Date.now() - cached.fetchedAt < DISCOVERY_CACHE_MS) {
+    return cached;
+  }
+
+  const discovery = await fetchJson(`${issuer.replace(/\/$/, '')}/.well-known/openid-configuration`);
+  const { keys } = await fetchJson(discovery.jwks_uri);
+  const entry = { discovery, keys, fetchedAt: Date.now() };
+  cache.set(issuer, entry);
+  return entry;
+};
+
+const findSigningKey = async (issuer, kid) => {
+  let { keys } = await getIssuerMetadata(issuer);
+  let jwk = keys.find(key => key.kid === kid);
+  if (!jwk) {
+    // The provider may have rotated its keys since we cached them
+    ({ keys } = await getIssuerMetadata(issuer, { refreshKeys: true }));
+    jwk = keys.find(key => key.kid === kid);
+  }
+  if (!jwk) {
+    throw oidcError('Unknown ID token signing key');
+  }
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+// Verify an ID token's signature, issuer, audience and expiry
+const verifyIdToken = async (provider, idToken) => {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded || !decoded.header) {
+    throw oidcError('Malformed ID token');
+  }
+
+  const key = await findSigningKey(provider.issuer, decoded.header.kid);
+  const { discovery } = await getIssuerMetadata(provider.issuer);
+
+  try {
+    return jwt.verify(idToken, key, {
+      audience: provider.clientId,
+      // Multi-tenant issuers (e.g. Microsoft "common") template the tenant into `iss`
+      issuer: provider.allowAnyIssuer ? undefined : discovery.issuer,
+      algorithms: ['RS256', 'RS384', 'RS512', 'ES256', 'ES384', 'ES512', 'PS256']
+    });
+  } catch (error) {
+    throw oidcError('Invalid ID token');
+  }
+};
+
+// Exchange an authorization code (optionally with a PKCE verifier) for tokens
+const exchangeCode = async (provider, { code, redirectUri, codeVerifier }) => {
+  const { discovery } = await getIssuerMetadata(provider.issuer);
+  const body = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: redirectUri,
+    client_id: provider.clientId
+  });
+  if (provider.clientSecret) {
+    body.set('client_secret', provider.clientSecret);
+  }
+  if (codeVerifier) {
+    body.set('code_verifier', codeVerifier);
+  }
+
+  const response = await fetch(discovery.token_endpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+    body
+  });
+  if (!response.ok) {
+    throw oidcError('Authorization code exchange failed');
+  }
+  return response.json();
+};
+
+module.exports = { verifyIdToken, exchangeCode };
@@ -0,0 +1,29 @@
+// services/passwordResetService.js
+const { sendMail } = require('./mail');
+const { randomToken, hashToken } = require('../utils/tokens');
+const { clientUrl } = require('../utils/urls');
+
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 60;
+
+// Issue a single-use reset token and email the link to the user
+const sendPasswordResetEmail = async (user, { forced = false } = {}) => {
+  const resetToken = randomToken();
+  user.passwordResetTokenHash = hashToken(resetToken);
+  user.passwordResetExpires = new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000);
+  await user.save();
+
+  const link = clientUrl('/reset-password', { token: resetToken });
+  const intro = forced
+    ? 'An administrator has asked you to choose a new password before you sign in again.'
+    : 'Use the link below to choose a new password.';
+
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your Record password',
+    text: `Hi ${user.name},\n\n${intro} ` +
+      `It expires in ${PASSWORD_RESET_TTL_MINUTES} minutes and can only be used once.\n\n${link}\n\n` +
+      (forced ? '' : 'If you did not ask for this, you can ignore this email.')
+  });
+};
+
+module.exports = { sendPasswordResetEmail };
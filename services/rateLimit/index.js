@@ -0,0 +1,48 @@
+// services/rateLimit/index.js
+const createMemoryStore = require('./memoryStore');
+const createMongoStore = require('./mongoStore');
+
+const stores = {
+  memory: createMemoryStore,
+  mongo: createMongoStore
+};
+
+let store;
+
+// RATE_LIMIT_STORE picks the counter store; defaults to Mongo in production and memory elsewhere
+const getStore = () => {
+  if (!store) {
+    const name = process.env.RATE_LIMIT_STORE ||
+      (process.env.NODE_ENV === 'production' ? 'mongo' : 'memory');
+    const factory = stores[name];
+    if (!factory) {
+      throw new Error(`Unknown rate limit store: ${name}`);
+    }
+    store = factory();
+  }
+  return store;
+};
+
+// Swap the store at runtime (e.g. a fresh memory store in tests)
+const setStore = (customStore) => {
+  store = customStore;
+};
+
+// Count a hit and report whether the limit is exceeded
+const hit = async (key, { windowMs, max }) => {
+  const { count, resetAt } = await getStore().increment(key, windowMs);
+  return {
+    limited: count > max,
+    limit: max,
+    remaining: Math.max(0, max - count),
+    resetAt
+  };
+};
+
+module.exports = {
+  getStore,
+  setStore,
+  hit,
+  createMemoryStore,
+  createMongoStore
+};
@@ -0,0 +1,41 @@
+// services/rateLimit/lockout.js
+const { getStore } = require('./index');
+const { lockout: settings } = require('../../config/rateLimits');
+
+// Progressive lockout: after `threshold` failures the key is locked for `baseLockMs`,
+// and every further failure doubles the lock, up to `maxLockMs`.
+const failureKey = (key) => `lockout:failures:${key}`;
+const lockKey = (key) => `lockout:lock:${key}`;
+
+// Seconds until the key may try again, or 0 when it isn't locked
+const getLockout = async (key) => {
+  const lock = await getStore().get(lockKey(key));
+  if (!lock) {
+    return 0;
+  }
+  return Math.ceil((lock.resetAt.getTime() - Date.now()) / 1000);
+};
+
+const registerFailure = async (key) => {
+  const store = getStore();
+  const { count } = await store.increment(failureKey(key), settings.failureWindowMs);
+
+  if (count >= settings.threshold) {
+    const lockMs = Math.min(
+      settings.baseLockMs * 2 ** (count - settings.threshold),
+      settings.maxLockMs
+    );
+    await store.reset(lockKey(key));
+    await store.increment(lockKey(key), lockMs);
+    return Math.ceil(lockMs / 1000);
+  }
+  return 0;
+};
+
+const clearFailures = async (key) => {
+  const store = getStore();
+  await store.reset(failureKey(key));
+  await store.reset(lockKey(key));
+};
+
+module.exports = { getLockout, registerFailure, clearFailures };
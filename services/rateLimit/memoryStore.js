@@ -0,0 +1,43 @@
+// services/rateLimit/memoryStore.js
+
+// Counters kept in process memory. Fine for a single instance and for tests;
+// limits are per instance when the app is scaled out.
+const createMemoryStore = () => {
+  const counters = new Map();
+
+  // Drop expired counters now and then so the map doesn't grow forever
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    counters.forEach((entry, key) => {
+      if (entry.resetAt.getTime() <= now) {
+        counters.delete(key);
+      }
+    });
+  }, 60 * 1000);
+  sweep.unref();
+
+  const get = async (key) => {
+    const entry = counters.get(key);
+    if (!entry || entry.resetAt.getTime() <= Date.now()) {
+      return null;
+    }
+    return { ...entry };
+  };
+
+  const increment = async (key, windowMs) => {
+    const existing = await get(key);
+    const entry = existing
+      ? { count: existing.count + 1, resetAt: existing.resetAt }
+      : { count: 1, resetAt: new Date(Date.now() + windowMs) };
+    counters.set(key, entry);
+    return { ...entry };
+  };
+
+  const reset = async (key) => {
+    counters.delete(key);
+  };
+
+  return { name: 'memory', get, increment, reset };
+};
+
+module.exports = createMemoryStore;
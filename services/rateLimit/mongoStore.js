@@ -0,0 +1,44 @@
+// services/rateLimit/mongoStore.js
+const RateLimitCounter = require('../../models/RateLimitCounter');
+
+// Counters kept in Mongo so limits hold across serverless instances
+const createMongoStore = () => {
+  const get = async (key) => {
+    const entry = await RateLimitCounter.findOne({ key, resetAt: { $gt: new Date() } }).lean();
+    return entry ? { count: entry.count, resetAt: entry.resetAt } : null;
+  };
+
+  // Atomic increment; starts a new window when the previous one has expired
+  const increment = async (key, windowMs, retried = false) => {
+    const now = new Date();
+    const active = { $gt: ['$resetAt', now] };
+
+    try {
+      const entry = await RateLimitCounter.findOneAndUpdate(
+        { key },
+        [{
+          $set: {
+            count: { $cond: [active, { $add: ['$count', 1] }, 1] },
+            resetAt: { $cond: [active, '$resetAt', new Date(now.getTime() + windowMs)] }
+          }
+        }],
+        { new: true, upsert: true }
+      ).lean();
+      return { count: entry.count, resetAt: entry.resetAt };
+    } catch (error) {
+      // Two instances upserting the same new key at once: the loser retries as an update
+      if (error.code === 11000 && !retried) {
+        return increment(key, windowMs, true);
+      }
+      throw error;
+    }
+  };
+
+  const reset = async (key) => {
+    await RateLimitCounter.deleteOne({ key });
+  };
+
+  return { name: 'mongo', get, increment, reset };
+};
+
+module.exports = createMongoStore;
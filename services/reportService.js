@@ -0,0 +1,309 @@
+// services/reportService.js
+const SupportRequest = require('../models/SupportRequest');
+const User = require('../models/User');
+const Category = require('../models/Category');
+const { OPEN_STATUSES } = require('./assignmentService');
+
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Period labels: 2024-05-31 for days, ISO weeks like 2024-W22
+const INTERVAL_FORMATS = {
+  day: '%Y-%m-%d',
+  week: '%G-W%V'
+};
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// ?from=&to=&interval=&tz= with defaults (last 30 days, daily, UTC)
+const parseReportParams = (query) => {
+  const to = query.to ? new Date(query.to) : new Date();
+  const from = query.from ? new Date(query.from) : new Date(to.getTime() - DEFAULT_RANGE_DAYS * DAY_MS);
+  if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+    throw badRequest('from and to must be valid dates');
+  }
+  if (from >= to) {
+    throw badRequest('from must be before to');
+  }
+  if (to - from > MAX_RANGE_DAYS * DAY_MS) {
+    throw badRequest(`Reports cover at most ${MAX_RANGE_DAYS} days`);
+  }
+
+  const interval = query.interval || 'day';
+  if (!INTERVAL_FORMATS[interval]) {
+    throw badRequest(`interval must be one of: ${Object.keys(INTERVAL_FORMATS).join(', ')}`);
+  }
+
+  const timezone = query.tz || 'UTC';
+  if (!isValidTimezone(timezone)) {
+    throw badRequest('tz must be an IANA time zone such as Europe/Madrid');
+  }
+
+  return { from, to, interval, timezone };
+};
+
+const toMinutes = (ms) => (ms === null || ms === undefined ? null : Math.round(ms / 60000));
+
+// Median of `end - start` (ms) per group, for tickets matching `match` that have both dates.
+// Sorting before $push keeps each group's array ordered, so the middle element is the median;
+// unlike $median this works on every MongoDB version we support.
+const medianDurations = async (match, { start, end, groupBy = null }) => {
+  const results = await SupportRequest.aggregate([
+    { $match: { ...match, [end]: { $ne: null } } },
+    { $project: { key: groupBy || { $literal: null }, duration: { $subtract: [`$${end}`, `$${start}`] } } },
+    { $sort: { duration: 1 } },
+    { $group: { _id: '$key', durations: { $push: '$duration' } } },
+    {
+      $project: {
+        count: { $size: '$durations' },
+        median: {
+          $let: {
+            vars: { last: { $subtract: [{ $size: '$durations' }, 1] } },
+            in: {
+              $avg: [
+                { $arrayElemAt: ['$durations', { $floor: { $divide: ['$$last', 2] } }] },
+                { $arrayElemAt: ['$durations', { $ceil: { $divide: ['$$last', 2] } }] }
+              ]
+            }
+          }
+        }
+      }
+    }
+  ]);
+  return new Map(results.map(result => [String(result._id), { count: result.count, median: result.median }]));
+};
+
+// Tickets created and resolved per day or ISO week
+const volumeReport = async (query) => {
+  const { from, to, interval, timezone } = parseReportParams(query);
+  const countBy = (field) => SupportRequest.aggregate([
+    { $match: { [field]: { $gte: from, $lte: to } } },
+    { $group: { _id: { $dateToString: { date: `$${field}`, format: INTERVAL_FORMATS[interval], timezone } }, count: { $sum: 1 } } }
+  ]);
+
+  const [created, resolved] = await Promise.all([countBy('createdAt'), countBy('resolvedAt')]);
+  const periods = new Map();
+  const row = (period) => {
+    if (!periods.has(period)) {
+      periods.set(period, { period, created: 0, resolved: 0 });
+    }
+    return periods.get(period);
+  };
+  created.forEach(entry => { row(entry._id).created = entry.count; });
+  resolved.forEach(entry => { row(entry._id).resolved = entry.count; });
+
+  return {
+    columns: [
+      { key: 'period', label: 'Period' },
+      { key: 'created', label: 'Created' },
+      { key: 'resolved', label: 'Resolved' }
+    ],
+    rows: [...periods.values()].sort((a, b) => a.period.localeCompare(b.period)),
+    meta: { from, to, interval, timezone }
+  };
+};
+
+// Open tickets right now, by status and priority (every combination, zeros included)
+const backlogReport = async () => {
+  const groups = await SupportRequest.aggregate([
+    { $match: { status: { $in: OPEN_STATUSES } } },
+    { $group: { _id: { status: '$status', priority: '$priority' }, count: { $sum: 1 }, oldestCreatedAt: { $min: '$createdAt' } } }
+  ]);
+
+  const priorities = SupportRequest.schema.path('priority').enumValues;
+  const rows = OPEN_STATUSES.flatMap(status => priorities.map(priority => {
+    const group = groups.find(entry => entry._id.status === status && entry._id.priority === priority);
+    return {
+      status,
+      priority,
+      count: group ? group.count : 0,
+      oldestCreatedAt: group ? group.oldestCreatedAt : null
+    };
+  }));
+
+  return {
+    columns: [
+      { key: 'status', label: 'Status' },
+      { key: 'priority', label: 'Priority' },
+      { key: 'count', label: 'Tickets' },
+      { key: 'oldestCreatedAt', label: 'Oldest created at' }
+    ],
+    rows,
+    meta: { asOf: new Date(), total: rows.reduce((sum, row) => sum + row.count, 0) }
+  };
+};
+
+// Median first-response and resolution times (wall-clock minutes) for tickets created in the range
+const responseTimeReport = async (query) => {
+  const { from, to } = parseReportParams(query);
+  const match = { createdAt: { $gte: from, $lte: to } };
+
+  const [createdOverall, createdByPriority, firstOverall, firstByPriority, resolvedOverall, resolvedByPriority] = await Promise.all([
+    SupportRequest.countDocuments(match),
+    SupportRequest.aggregate([{ $match: match }, { $group: { _id: '$priority', count: { $sum: 1 } } }]),
+    medianDurations(match, { start: 'createdAt', end: 'firstResponseAt' }),
+    medianDurations(match, { start: 'createdAt', end: 'firstResponseAt', groupBy: '$priority' }),
+    medianDurations(match, { start: 'createdAt', end: 'resolvedAt' }),
+    medianDurations(match, { start: 'createdAt', end: 'resolvedAt', groupBy: '$priority' })
+  ]);
+
+  const buildRow = (priority, created, first, resolved) => ({
+    priority,
+    created,
+    responded: first ? first.count : 0,
+    medianFirstResponseMinutes: toMinutes(first && first.median),
+    resolved: resolved ? resolved.count : 0,
+    medianResolutionMinutes: toMinutes(resolved && resolved.median)
+  });
+
+  const priorities = SupportRequest.schema.path('priority').enumValues;
+  const rows = priorities.map(priority => {
+    const created = createdByPriority.find(entry => entry._id === priority);
+    return buildRow(priority, created ? created.count : 0, firstByPriority.get(priority), resolvedByPriority.get(priority));
+  });
+  rows.push(buildRow('all', createdOverall, firstOverall.get('null'), resolvedOverall.get('null')));
+
+  return {
+    columns: [
+      { key: 'priority', label: 'Priority' },
+      { key: 'created', label: 'Created' },
+      { key: 'responded', label: 'Responded' },
+      { key: 'medianFirstResponseMinutes', label: 'Median first response (min)' },
+      { key: 'resolved', label: 'Resolved' },
+      { key: 'medianResolutionMinutes', label: 'Median resolution (min)' }
+    ],
+    rows,
+    meta: { from, to }
+  };
+};
+
+// Per agent: tickets assigned and resolved in the range, resolution time, and current open load
+const assigneeReport = async (query) => {
+  const { from, to } = parseReportParams(query);
+  const range = { $gte: from, $lte: to };
+
+  const [assigned, resolved, open] = await Promise.all([
+    SupportRequest.aggregate([
+      { $match: { assignee: { $ne: null }, assignedAt: range } },
+      { $group: { _id: '$assignee', count: { $sum: 1 } } }
+    ]),
+    medianDurations({ assignee: { $ne: null }, resolvedAt: range }, { start: 'createdAt', end: 'resolvedAt', groupBy: '$assignee' }),
+    SupportRequest.aggregate([
+      { $match: { assignee: { $ne: null }, status: { $in: OPEN_STATUSES } } },
+      { $group: { _id: '$assignee', count: { $sum: 1 } } }
+    ])
+  ]);
+
+  const ids = [...new Set([
+    ...assigned.map(entry => String(entry._id)),
+    ...resolved.keys(),
+    ...open.map(entry => String(entry._id))
+  ])];
+  const users = await User.find({ _id: { $in: ids } }).select('name email');
+  const countFor = (entries, id) => {
+    const entry = entries.find(item => String(item._id) === id);
+    return entry ? entry.count : 0;
+  };
+
+  const rows = ids.map(id => {
+    const user = users.find(item => String(item._id) === id);
+    const resolution = resolved.get(id);
+    return {
+      assigneeId: id,
+      name: user ? user.name : null,
+      email: user ? user.email : null,
+      assigned: countFor(assigned, id),
+      resolved: resolution ? resolution.count : 0,
+      medianResolutionMinutes: toMinutes(resolution && resolution.median),
+      open: countFor(open, id)
+    };
+  }).sort((a, b) => b.resolved - a.resolved || b.assigned - a.assigned);
+
+  return {
+    columns: [
+      { key: 'assigneeId', label: 'Assignee ID' },
+      { key: 'name', label: 'Name' },
+      { key: 'email', label: 'Email' },
+      { key: 'assigned', label: 'Assigned' },
+      { key: 'resolved', label: 'Resolved' },
+      { key: 'medianResolutionMinutes', label: 'Median resolution (min)' },
+      { key: 'open', label: 'Open now' }
+    ],
+    rows,
+    meta: { from, to }
+  };
+};
+
+// Per category: tickets created and resolved in the range, resolution time, and open now
+const categoryReport = async (query) => {
+  const { from, to } = parseReportParams(query);
+  const range = { $gte: from, $lte: to };
+
+  const [created, resolved, open, categories] = await Promise.all([
+    SupportRequest.aggregate([
+      { $match: { createdAt: range } },
+      { $group: { _id: '$category', count: { $sum: 1 } } }
+    ]),
+    medianDurations({ resolvedAt: range }, { start: 'createdAt', end: 'resolvedAt', groupBy: '$category' }),
+    SupportRequest.aggregate([
+      { $match: { status: { $in: OPEN_STATUSES } } },
+      { $group: { _id: '$category', count: { $sum: 1 } } }
+    ]),
+    Category.find().sort({ position: 1, name: 1 })
+  ]);
+
+  const countFor = (entries, id) => {
+    const entry = entries.find(item => String(item._id) === id);
+    return entry ? entry.count : 0;
+  };
+  const buildRow = (id, name) => {
+    const resolution = resolved.get(id);
+    return {
+      categoryId: id === 'null' ? null : id,
+      name,
+      created: countFor(created, id),
+      resolved: resolution ? resolution.count : 0,
+      medianResolutionMinutes: toMinutes(resolution && resolution.median),
+      open: countFor(open, id)
+    };
+  };
+
+  // Every category, plus a row for uncategorized tickets
+  const rows = categories.map(category => buildRow(String(category._id), category.name));
+  rows.push(buildRow('null', 'Uncategorized'));
+
+  return {
+    columns: [
+      { key: 'categoryId', label: 'Category ID' },
+      { key: 'name', label: 'Category' },
+      { key: 'created', label: 'Created' },
+      { key: 'resolved', label: 'Resolved' },
+      { key: 'medianResolutionMinutes', label: 'Median resolution (min)' },
+      { key: 'open', label: 'Open now' }
+    ],
+    rows,
+    meta: { from, to }
+  };
+};
+
+module.exports = {
+  volumeReport,
+  backlogReport,
+  responseTimeReport,
+  assigneeReport,
+  categoryReport
+};
@@ -0,0 +1,49 @@
+// services/scanner/clamavScanner.js
+const net = require('net');
+
+const CHUNK_SIZE = 64 * 1024;
+
+// Scans through a clamd daemon using the INSTREAM command
+const createClamavScanner = ({
+  host = process.env.CLAMAV_HOST || '127.0.0.1',
+  port = parseInt(process.env.CLAMAV_PORT, 10) || 3310,
+  timeoutMs = parseInt(process.env.CLAMAV_TIMEOUT_MS, 10) || 30000
+} = {}) => {
+  return {
+    name: 'clamav',
+    scan: (buffer) => new Promise((resolve, reject) => {
+      const socket = net.createConnection({ host, port });
+      const replies = [];
+
+      socket.setTimeout(timeoutMs, () => socket.destroy(new Error('ClamAV scan timed out')));
+      socket.on('error', reject);
+      socket.on('data', chunk => replies.push(chunk));
+      socket.on('end', () => {
+        // "stream: OK" or "stream: <signature> FOUND"
+        const reply = Buffer.concat(replies).toString('utf8').replace(/\0/g, '').trim();
+        const found = reply.match(/^stream: (.+) FOUND$/);
+        if (found) {
+          return resolve({ clean: false, signature: found[1] });
+        }
+        if (reply === 'stream: OK') {
+          return resolve({ clean: true });
+        }
+        reject(new Error(`Unexpected ClamAV reply: ${reply}`));
+      });
+
+      socket.on('connect', () => {
+        socket.write('zINSTREAM\0');
+        for (let offset = 0; offset < buffer.length; offset += CHUNK_SIZE) {
+          const chunk = buffer.subarray(offset, offset + CHUNK_SIZE);
+          const length = Buffer.alloc(4);
+          length.writeUInt32BE(chunk.length);
+          socket.write(length);
+          socket.write(chunk);
+        }
+        socket.end(Buffer.alloc(4));
+      });
+    })
+  };
+};
+
+module.exports = createClamavScanner;
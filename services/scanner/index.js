@@ -0,0 +1,38 @@
+// services/scanner/index.js
+const createClamavScanner = require('./clamavScanner');
+const createStubScanner = require('./stubScanner');
+
+const scanners = {
+  clamav: createClamavScanner,
+  stub: createStubScanner,
+  // No scanning at all; every file is reported clean
+  none: () => ({ name: 'none', scan: async () => ({ clean: true }) })
+};
+
+let scanner;
+
+// MALWARE_SCANNER picks the scanner: "clamav", "stub" or "none" (default).
+// Every scanner implements scan(buffer, { filename }) → { clean, signature? }.
+const getScanner = () => {
+  if (!scanner) {
+    const name = process.env.MALWARE_SCANNER || 'none';
+    const factory = scanners[name];
+    if (!factory) {
+      throw new Error(`Unknown malware scanner: ${name}`);
+    }
+    scanner = factory();
+  }
+  return scanner;
+};
+
+// Swap the scanner at runtime (e.g. the stub in tests)
+const setScanner = (customScanner) => {
+  scanner = customScanner;
+};
+
+module.exports = {
+  getScanner,
+  setScanner,
+  createClamavScanner,
+  createStubScanner
+};
@@ -0,0 +1,18 @@
+// services/scanner/stubScanner.js
+
+// The standard antivirus test string; harmless, but every scanner reports it
+const EICAR = 'X5O!P%@AP[4\\PZX54(P^)7CC)7}$EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*';
+
+// Test/development scanner: flags files containing the EICAR string, passes everything else
+const createStubScanner = () => {
+  return {
+    name: 'stub',
+    scan: async (buffer) => {
+      return buffer.includes(EICAR)
+        ? { clean: false, signature: 'Eicar-Test-Signature' }
+        : { clean: true };
+    }
+  };
+};
+
+module.exports = createStubScanner;
@@ -0,0 +1,142 @@
+// services/sessionService.js
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const { randomToken, hashToken } = require('../utils/tokens');
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_ACCESS_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+
+const sessionError = (message) => {
+  const error = new Error(message);
+  error.status = 401;
+  return error;
+};
+
+// Generate a short-lived JWT bound to a session (`imp` marks impersonation sessions)
+const generateAccessToken = (userId, sessionId, impersonatedBy) => {
+  const payload = { id: userId, sid: sessionId };
+  if (impersonatedBy) {
+    payload.imp = impersonatedBy;
+  }
+  return jwt.sign(payload, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN
+  });
+};
+
+// Refresh tokens look like "<sessionId>.<secret>" so the session can be found without scanning
+const buildRefreshToken = (sessionId, secret) => `${sessionId}.${secret}`;
+
+const parseRefreshToken = (refreshToken) => {
+  const [sessionId, secret] = String(refreshToken).split('.');
+  if (!sessionId || !secret || !/^[a-f0-9]{24}$/i.test(sessionId)) {
+    return null;
+  }
+  return { sessionId, secret };
+};
+
+const clientInfo = (req) => ({
+  userAgent: req.headers['user-agent'],
+  ip: req.ip
+});
+
+const refreshExpiry = (session) => {
+  // Impersonation sessions can't be extended past their original lifetime
+  if (session && session.impersonatedBy) {
+    return session.expiresAt;
+  }
+  return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+};
+
+// Start a new session and return the token pair handed to the client
+const createSession = async (userId, req, { impersonatedBy, ttlMs } = {}) => {
+  const secret = randomToken(48);
+  const session = await Session.create({
+    userId,
+    impersonatedBy,
+    refreshTokenHash: hashToken(secret),
+    expiresAt: ttlMs ? new Date(Date.now() + ttlMs) : refreshExpiry(),
+    ...clientInfo(req)
+  });
+
+  return {
+    session,
+    token: generateAccessToken(userId, session._id, impersonatedBy),
+    refreshToken: buildRefreshToken(session._id, secret)
+  };
+};
+
+// Exchange a refresh token for a new token pair. A refresh token can only be used once;
+// presenting one that was already rotated out revokes the whole session.
+const rotateSession = async (refreshToken, req) => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) {
+    throw sessionError('Invalid refresh token');
+  }
+
+  const session = await Session.findById(parsed.sessionId);
+  if (!session || !session.isActive()) {
+    throw sessionError('Session expired or revoked');
+  }
+
+  const presentedHash = hashToken(parsed.secret);
+  if (presentedHash !== session.refreshTokenHash) {
+    if (presentedHash === session.previousTokenHash) {
+      session.revokedAt = new Date();
+      session.revokedReason = 'refresh-token-reuse';
+      await session.save();
+    }
+    throw sessionError('Invalid refresh token');
+  }
+
+  const secret = randomToken(48);
+  session.previousTokenHash = session.refreshTokenHash;
+  session.refreshTokenHash = hashToken(secret);
+  session.lastUsedAt = new Date();
+  session.expiresAt = refreshExpiry(session);
+  Object.assign(session, clientInfo(req));
+  await session.save();
+
+  return {
+    session,
+    token: generateAccessToken(session.userId, session._id, session.impersonatedBy),
+    refreshToken: buildRefreshToken(session._id, secret)
+  };
+};
+
+// Find the active session a refresh token belongs to, without rotating it
+const findSessionByRefreshToken = async (refreshToken) => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) {
+    return null;
+  }
+
+  const session = await Session.findById(parsed.sessionId);
+  if (!session || !session.isActive() || hashToken(parsed.secret) !== session.refreshTokenHash) {
+    return null;
+  }
+  return session;
+};
+
+const revokeSession = async (session, reason) => {
+  session.revokedAt = new Date();
+  session.revokedReason = reason;
+  await session.save();
+};
+
+// Check that the session referenced by an access token is still usable
+const isSessionActive = async (sessionId) => {
+  if (!sessionId) {
+    return false;
+  }
+  const session = await Session.findById(sessionId).select('revokedAt expiresAt');
+  return Boolean(session && session.isActive());
+};
+
+module.exports = {
+  generateAccessToken,
+  createSession,
+  rotateSession,
+  findSessionByRefreshToken,
+  revokeSession,
+  isSessionActive
+};
@@ -0,0 +1,42 @@
+// services/slaScheduler.js
+const mongoose = require('mongoose');
+const { checkIntervalMs } = require('../config/sla');
+const { runSlaCheck } = require('./slaService');
+
+let timer = null;
+let running = false;
+
+const tick = async () => {
+  // Skip while disconnected, and never overlap a slow run with the next one
+  if (running || mongoose.connection.readyState !== 1) {
+    return;
+  }
+  running = true;
+  try {
+    const summary = await runSlaCheck();
+    if (summary.escalated > 0) {
+      console.log('⏱️ SLA check:', summary);
+    }
+  } catch (error) {
+    console.error('❌ SLA check error:', error);
+  } finally {
+    running = false;
+  }
+};
+
+// Periodically flag imminent/actual breaches. On serverless deployments set
+// SLA_CHECK_INTERVAL_MS=0 and call POST /api/admin/sla/run from a cron job instead.
+const startSlaScheduler = () => {
+  if (timer || !checkIntervalMs) {
+    return;
+  }
+  timer = setInterval(tick, checkIntervalMs);
+  timer.unref();
+};
+
+const stopSlaScheduler = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = { startSlaScheduler, stopSlaScheduler };
@@ -0,0 +1,214 @@
+// services/slaService.js
+const SlaPolicy = require('../models/SlaPolicy');
+const Setting = require('../models/Setting');
+const SupportRequest = require('../models/SupportRequest');
+const { DEFAULT_TARGETS, DEFAULT_CALENDAR, warningRatio } = require('../config/sla');
+const { addBusinessMinutes } = require('../utils/businessTime');
+const { recordAudit } = require('./auditService');
+const { publish } = require('./eventBus');
+
+const CALENDAR_KEY = 'sla.calendar';
+const PRIORITIES = ['low', 'medium', 'high'];
+const OPEN_STATUSES = ['pending', 'in-progress'];
+const MINUTE = 60 * 1000;
+
+const getCalendar = () => Setting.getValue(CALENDAR_KEY, DEFAULT_CALENDAR);
+
+const setCalendar = (calendar, updatedBy) => Setting.setValue(CALENDAR_KEY, calendar, updatedBy);
+
+// Stored policy for a priority, or the configured defaults
+const getPolicy = async (priority) => {
+  const policy = await SlaPolicy.findOne({ priority }).lean();
+  if (policy) {
+    return policy;
+  }
+  return {
+    priority,
+    ...DEFAULT_TARGETS[priority],
+    businessHoursOnly: false,
+    escalation: { bumpPriority: true },
+    isDefault: true
+  };
+};
+
+const getPolicies = () => Promise.all(PRIORITIES.map(getPolicy));
+
+const dueDate = (start, minutes, policy, calendar) => {
+  return policy.businessHoursOnly
+    ? addBusinessMinutes(start, minutes, calendar)
+    : new Date(start.getTime() + minutes * MINUTE);
+};
+
+// Status of one target: 'met', 'breached', 'warning' or 'ok'
+const targetState = (start, due, doneAt, now) => {
+  if (!due) {
+    return 'ok';
+  }
+  if (doneAt) {
+    return doneAt > due ? 'breached' : 'met';
+  }
+  if (now > due) {
+    return 'breached';
+  }
+  const warnAt = start.getTime() + (due.getTime() - start.getTime()) * warningRatio;
+  return now.getTime() >= warnAt ? 'warning' : 'ok';
+};
+
+// Recompute breach flags and the overall state. Returns the newly breached targets.
+const evaluateSla = (supportRequest, now = new Date()) => {
+  const sla = supportRequest.sla;
+  const start = supportRequest.createdAt || now;
+  const done = ['resolved', 'closed'].includes(supportRequest.status);
+
+  const firstResponse = targetState(start, sla.firstResponseDueAt, supportRequest.firstResponseAt, now);
+  const resolution = targetState(start, sla.resolutionDueAt, done ? (supportRequest.resolvedAt || now) : null, now);
+
+  const newlyBreached = [];
+  if (firstResponse === 'breached' && !sla.firstResponseBreached) {
+    newlyBreached.push('first-response');
+  }
+  if (resolution === 'breached' && !sla.resolutionBreached) {
+    newlyBreached.push('resolution');
+  }
+  sla.firstResponseBreached = sla.firstResponseBreached || firstResponse === 'breached';
+  sla.resolutionBreached = sla.resolutionBreached || resolution === 'breached';
+
+  if (sla.firstResponseBreached || sla.resolutionBreached) {
+    sla.state = 'breached';
+  } else if (done) {
+    sla.state = 'met';
+  } else if (firstResponse === 'warning' || resolution === 'warning') {
+    sla.state = 'warning';
+  } else {
+    sla.state = 'ok';
+  }
+
+  return newlyBreached;
+};
+
+// Set due dates from the ticket's priority and creation time. Mutates the ticket; the caller saves it.
+const applySla = async (supportRequest) => {
+  const [policy, calendar] = await Promise.all([getPolicy(supportRequest.priority), getCalendar()]);
+  const start = supportRequest.createdAt || new Date();
+
+  supportRequest.sla.firstResponseDueAt = dueDate(start, policy.firstResponseMinutes, policy, calendar);
+  supportRequest.sla.resolutionDueAt = dueDate(start, policy.resolutionMinutes, policy, calendar);
+  evaluateSla(supportRequest);
+  return supportRequest;
+};
+
+// Keep resolvedAt in step with status changes
+const trackResolution = (supportRequest, previousStatus) => {
+  const done = ['resolved', 'closed'];
+  if (done.includes(supportRequest.status) && !done.includes(previousStatus)) {
+    supportRequest.resolvedAt = new Date();
+  } else if (!done.includes(supportRequest.status) && done.includes(previousStatus)) {
+    supportRequest.resolvedAt = null;
+  }
+};
+
+const NEXT_PRIORITY = { low: 'medium', medium: 'high' };
+
+// Apply the policy's escalation for a breach; returns a description of what was done
+const escalate = (supportRequest, type, policy) => {
+  const actions = [];
+  const escalation = policy.escalation || {};
+
+  if (escalation.bumpPriority && NEXT_PRIORITY[supportRequest.priority]) {
+    const from = supportRequest.priority;
+    actions.push(`priority ${from} → ${NEXT_PRIORITY[from]}`);
+    supportRequest.priority = NEXT_PRIORITY[from];
+    supportRequest.timeline.push({
+      field: 'priority',
+      from,
+      to: supportRequest.priority,
+      source: 'sla',
+      note: `SLA ${type} target breached`,
+      at: new Date()
+    });
+  }
+
+  if (escalation.reassignTo) {
+    supportRequest.assignee = escalation.reassignTo;
+    supportRequest.assignedAt = new Date();
+    actions.push('reassigned to escalation agent');
+  } else if (escalation.reassignQueue) {
+    supportRequest.queue = escalation.reassignQueue;
+    supportRequest.assignee = null;
+    supportRequest.assignedAt = null;
+    actions.push('moved to escalation queue');
+  }
+
+  const action = actions.join(', ') || 'flagged';
+  supportRequest.sla.escalations.push({ type, at: new Date(), action });
+  return action;
+};
+
+// Scan open tickets, update SLA states and escalate new breaches
+const runSlaCheck = async (now = new Date()) => {
+  const summary = { checked: 0, warning: 0, breached: 0, escalated: 0 };
+  const policies = new Map((await getPolicies()).map(policy => [policy.priority, policy]));
+
+  const cursor = SupportRequest.find({
+    status: { $in: OPEN_STATUSES },
+    'sla.resolutionDueAt': { $ne: null }
+  }).cursor();
+
+  for await (const supportRequest of cursor) {
+    summary.checked++;
+    const previousState = supportRequest.sla.state;
+    // The policy in force when the breach happened, before any priority bump
+    const policy = policies.get(supportRequest.priority);
+    const newlyBreached = evaluateSla(supportRequest, now);
+
+    const before = {
+      priority: supportRequest.priority,
+      assignee: supportRequest.assignee,
+      queue: supportRequest.queue
+    };
+    for (const type of newlyBreached) {
+      const action = escalate(supportRequest, type, policy);
+      summary.escalated++;
+      await recordAudit(null, {
+        action: 'ticket.sla_breached',
+        target: { type: 'ticket', id: supportRequest._id },
+        metadata: { breach: type, escalation: action }
+      });
+    }
+
+    if (supportRequest.sla.state === 'warning') {
+      summary.warning++;
+    } else if (supportRequest.sla.state === 'breached') {
+      summary.breached++;
+    }
+
+    if (newlyBreached.length > 0 || previousState !== supportRequest.sla.state) {
+      await supportRequest.save();
+    }
+
+    // Escalations change the ticket; plain SLA state changes aren't worth an update event
+    if (newlyBreached.length > 0) {
+      const changes = { sla: { from: previousState, to: supportRequest.sla.state } };
+      Object.keys(before)
+        .filter(field => String(before[field]) !== String(supportRequest[field]))
+        .forEach(field => {
+          changes[field] = { from: before[field], to: supportRequest[field] };
+        });
+      publish('ticket.updated', { supportRequest, changes });
+    }
+  }
+
+  return summary;
+};
+
+module.exports = {
+  PRIORITIES,
+  getCalendar,
+  setCalendar,
+  getPolicy,
+  getPolicies,
+  applySla,
+  evaluateSla,
+  trackResolution,
+  runSlaCheck
+};
@@ -0,0 +1,38 @@
+// services/storage/index.js
+const createLocalDriver = require('./localDriver');
+const createS3Driver = require('./s3Driver');
+
+const drivers = {
+  local: createLocalDriver,
+  s3: createS3Driver
+};
+
+let driver;
+
+// STORAGE_DRIVER picks where attachments live: "local" (default) or "s3".
+// Every driver implements put(key, buffer, { contentType }), get(key) → { stream, size },
+// remove(key) and getSignedUrl(key, { expiresIn, filename, contentType, disposition }),
+// which may resolve to null when the backend has no URLs of its own.
+const getDriver = () => {
+  if (!driver) {
+    const name = process.env.STORAGE_DRIVER || 'local';
+    const factory = drivers[name];
+    if (!factory) {
+      throw new Error(`Unknown storage driver: ${name}`);
+    }
+    driver = factory();
+  }
+  return driver;
+};
+
+// Swap the driver at runtime (e.g. a temporary directory or a MinIO stand-in in tests)
+const setDriver = (customDriver) => {
+  driver = customDriver;
+};
+
+module.exports = {
+  getDriver,
+  setDriver,
+  createLocalDriver,
+  createS3Driver
+};
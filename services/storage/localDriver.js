@@ -0,0 +1,60 @@
+// services/storage/localDriver.js
+const fs = require('fs');
+const path = require('path');
+
+const notFound = (key) => {
+  const error = new Error(`Stored file not found: ${key}`);
+  error.status = 404;
+  return error;
+};
+
+// Development driver: files on the local disk. Not persistent on serverless hosts such as Vercel.
+const createLocalDriver = (root = process.env.STORAGE_LOCAL_DIR || 'uploads/support') => {
+  const resolvedRoot = path.resolve(root);
+
+  // Keys are generated by us, but never let one escape the storage directory
+  const resolve = (key) => {
+    const file = path.resolve(resolvedRoot, key);
+    if (!file.startsWith(resolvedRoot + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return file;
+  };
+
+  return {
+    name: 'local',
+    put: async (key, body) => {
+      const file = resolve(key);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(file, body);
+      return { key };
+    },
+    get: async (key) => {
+      const file = resolve(key);
+      try {
+        // Open first so a missing file is reported here rather than mid-stream
+        const handle = await fs.promises.open(file, 'r');
+        const stats = await handle.stat();
+        return { stream: handle.createReadStream(), size: stats.size };
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          throw notFound(key);
+        }
+        throw error;
+      }
+    },
+    remove: async (key) => {
+      try {
+        await fs.promises.unlink(resolve(key));
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+      }
+    },
+    // The disk has no URLs of its own; downloads go through our signed-token route
+    getSignedUrl: async () => null
+  };
+};
+
+module.exports = createLocalDriver;
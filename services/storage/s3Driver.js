@@ -0,0 +1,100 @@
+// services/storage/s3Driver.js
+const http = require('http');
+const https = require('https');
+const { signHeaders, presignUrl } = require('./sigv4');
+
+// Production driver for S3-compatible object storage (AWS S3, MinIO, Cloudflare R2, ...)
+const createS3Driver = ({
+  endpoint = process.env.S3_ENDPOINT || `https://s3.${process.env.S3_REGION || 'us-east-1'}.amazonaws.com`,
+  region = process.env.S3_REGION || 'us-east-1',
+  bucket = process.env.S3_BUCKET,
+  accessKeyId = process.env.S3_ACCESS_KEY_ID,
+  secretAccessKey = process.env.S3_SECRET_ACCESS_KEY,
+  // MinIO and most self-hosted stand-ins only understand path-style URLs
+  forcePathStyle = process.env.S3_FORCE_PATH_STYLE === 'true'
+} = {}) => {
+  if (!bucket || !accessKeyId || !secretAccessKey) {
+    throw new Error('S3 storage needs S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+  }
+
+  const objectUrl = (key) => {
+    const base = new URL(endpoint);
+    if (forcePathStyle) {
+      return new URL(`${base.pathname.replace(/\/$/, '')}/${bucket}/${key}`, base);
+    }
+    return new URL(`/${key}`, `${base.protocol}//${bucket}.${base.host}`);
+  };
+
+  const credentials = { region, accessKeyId, secretAccessKey };
+
+  // Resolves with the response; the body is left unread for streaming
+  const send = (method, key, { body, headers = {} } = {}) => {
+    const url = objectUrl(key);
+    const signed = signHeaders({ method, url, headers, body, ...credentials });
+    const client = url.protocol === 'http:' ? http : https;
+
+    return new Promise((resolve, reject) => {
+      const request = client.request(url, { method, headers: signed }, resolve);
+      request.on('error', reject);
+      request.end(body);
+    });
+  };
+
+  const readBody = (response) => new Promise((resolve, reject) => {
+    const chunks = [];
+    response.on('data', chunk => chunks.push(chunk));
+    response.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    response.on('error', reject);
+  });
+
+  const failure = async (response, action, key) => {
+    const detail = await readBody(response);
+    const error = new Error(`S3 ${action} ${key} failed with ${response.statusCode}: ${detail.slice(0, 200)}`);
+    error.status = response.statusCode === 404 ? 404 : 502;
+    return error;
+  };
+
+  return {
+    name: 's3',
+    put: async (key, body, { contentType } = {}) => {
+      const response = await send('PUT', key, {
+        body,
+        headers: {
+          'content-type': contentType || 'application/octet-stream',
+          'content-length': String(body.length)
+        }
+      });
+      if (response.statusCode !== 200) {
+        throw await failure(response, 'upload of', key);
+      }
+      response.resume();
+      return { key };
+    },
+    get: async (key) => {
+      const response = await send('GET', key);
+      if (response.statusCode !== 200) {
+        throw await failure(response, 'download of', key);
+      }
+      const size = parseInt(response.headers['content-length'], 10);
+      return { stream: response, size: Number.isNaN(size) ? undefined : size };
+    },
+    remove: async (key) => {
+      const response = await send('DELETE', key);
+      // Deleting a missing object is a 204 on S3, and sometimes a 404 elsewhere
+      if (![200, 204, 404].includes(response.statusCode)) {
+        throw await failure(response, 'delete of', key);
+      }
+      response.resume();
+    },
+    getSignedUrl: async (key, { expiresIn, filename, contentType, disposition = 'attachment' }) => {
+      const url = objectUrl(key);
+      url.searchParams.set('response-content-disposition', `${disposition}; filename*=UTF-8''${encodeURIComponent(filename)}`);
+      if (contentType) {
+        url.searchParams.set('response-content-type', contentType);
+      }
+      return presignUrl({ url, expiresIn, ...credentials });
+    }
+  };
+};
+
+module.exports = createS3Driver;
@@ -0,0 +1,103 @@
+// services/ticketMergeService.js
+const TicketMessage = require('../models/TicketMessage');
+const { recordAudit } = require('./auditService');
+const { evaluateSla } = require('./slaService');
+const { addTimelineEntry, changeTicket } = require('./ticketWorkflowService');
+const { publish } = require('./eventBus');
+
+const MAX_MESSAGE_LENGTH = 20000;
+
+const mergeError = (status, message, code) => {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+};
+
+// Can `primary` take in duplicates at all? Throws 409 if not.
+const assertMergeTarget = (primary) => {
+  if (primary.mergedInto) {
+    throw mergeError(409, `This ticket was itself merged into ${primary.mergedInto}`, 'ALREADY_MERGED');
+  }
+  if (primary.status === 'closed') {
+    throw mergeError(409, 'Reopen the ticket before merging other tickets into it', 'TICKET_CLOSED');
+  }
+};
+
+// Fold `duplicate` into `primary`:
+// - its description and attachments become an internal note on the primary,
+// - its thread moves to the primary (made internal when the requesters differ, so one
+//   customer never sees another's messages),
+// - it is closed with `mergedInto` pointing at the primary.
+// The close goes through the status workflow, so merging a ticket that isn't resolved yet
+// takes the same permission as closing it outright (403 otherwise).
+// Saves the duplicate; the caller saves the primary once all duplicates are done.
+const mergeDuplicate = async (primary, duplicate, { note }, req) => {
+  if (String(duplicate._id) === String(primary._id)) {
+    throw mergeError(400, 'A ticket cannot be merged into itself');
+  }
+  if (duplicate.mergedInto) {
+    throw mergeError(409, `Already merged into ${duplicate.mergedInto}`, 'ALREADY_MERGED');
+  }
+
+  const actor = { user: req.user };
+  const previousStatus = duplicate.status;
+  // Checked first: a refused close must leave both tickets untouched
+  const { status: statusChange } = changeTicket(duplicate, {
+    status: 'closed',
+    note: note ? `Merged into ${primary._id}: ${note}` : `Merged into ${primary._id}`
+  }, actor);
+
+  const attachments = duplicate.attachments.map(attachment => attachment.toObject());
+  const body = [
+    `Merged from ticket ${duplicate._id} (${duplicate.email}): ${duplicate.subject}`,
+    duplicate.description,
+    note ? `Merge note: ${note}` : null
+  ].filter(Boolean).join('\n\n');
+
+  await TicketMessage.create({
+    ticketId: primary._id,
+    author: { userId: req.user.id, name: req.user.name, email: req.user.email },
+    authorType: 'agent',
+    visibility: 'internal',
+    body: body.slice(0, MAX_MESSAGE_LENGTH),
+    attachments
+  });
+
+  const sameRequester = duplicate.email === primary.email;
+  const moved = await TicketMessage.updateMany(
+    { ticketId: duplicate._id },
+    sameRequester ? { ticketId: primary._id } : { ticketId: primary._id, visibility: 'internal' }
+  );
+
+  duplicate.attachments = [];
+  duplicate.mergedInto = primary._id;
+  evaluateSla(duplicate);
+  await duplicate.save();
+
+  addTimelineEntry(primary, {
+    field: 'merge',
+    from: String(duplicate._id),
+    to: String(primary._id),
+    actor,
+    note
+  });
+
+  await recordAudit(req, {
+    action: 'ticket.merged',
+    target: { type: 'ticket', id: duplicate._id },
+    changes: { status: { from: previousStatus, to: duplicate.status } },
+    metadata: { into: primary._id, messages: moved.modifiedCount, attachments: attachments.length, note }
+  });
+
+  const changes = { mergedInto: { from: null, to: primary._id } };
+  if (statusChange) {
+    changes.status = statusChange;
+    publish('ticket.status_changed', { supportRequest: duplicate, ...changes.status });
+  }
+  publish('ticket.updated', { supportRequest: duplicate, changes });
+
+  return { messages: moved.modifiedCount, attachments: attachments.length };
+};
+
+module.exports = { assertMergeTarget, mergeDuplicate };
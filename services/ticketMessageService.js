@@ -0,0 +1,64 @@
+// services/ticketMessageService.js
+const TicketMessage = require('../models/TicketMessage');
+const { evaluateSla } = require('./slaService');
+const { changeTicket } = require('./ticketWorkflowService');
+const { publish } = require('./eventBus');
+
+// Validate a posted message body; returns an error message or null
+const messageBodyError = (body) => {
+  if (typeof body !== 'string' || !body.trim()) {
+    return 'Message body is required';
+  }
+  if (body.trim().length > TicketMessage.MAX_BODY_LENGTH) {
+    return `Message cannot exceed ${TicketMessage.MAX_BODY_LENGTH} characters`;
+  }
+  return null;
+};
+
+// Add a message to a ticket's thread and apply the thread rules:
+// a customer reply on a resolved ticket reopens it (back to in-progress),
+// and the first public agent reply stops the SLA first-response clock.
+// Returns { message, statusChange } where statusChange is { from, to } or null.
+const addMessage = async (supportRequest, { author, authorType, visibility = 'public', body, attachments = [], emailMessageId }) => {
+  const message = await TicketMessage.create({
+    ticketId: supportRequest._id,
+    author,
+    authorType,
+    visibility: authorType === 'customer' ? 'public' : visibility,
+    body,
+    attachments,
+    emailMessageId
+  });
+
+  let statusChange = null;
+  let changed = false;
+  if (authorType === 'customer' && supportRequest.status === 'resolved') {
+    const changes = changeTicket(supportRequest, { status: 'in-progress', note: 'Reopened by a reply' }, {
+      requester: true,
+      userId: author.userId,
+      name: author.name || author.email
+    });
+    statusChange = changes.status;
+    changed = true;
+  }
+
+  if (authorType === 'agent' && message.visibility === 'public' && !supportRequest.firstResponseAt) {
+    supportRequest.firstResponseAt = message.createdAt;
+    changed = true;
+  }
+
+  if (changed) {
+    evaluateSla(supportRequest);
+    await supportRequest.save();
+  }
+
+  publish('ticket.replied', { supportRequest, message });
+  if (statusChange) {
+    publish('ticket.status_changed', { supportRequest, ...statusChange, byRequester: true });
+    publish('ticket.updated', { supportRequest, changes: { status: statusChange } });
+  }
+
+  return { message, statusChange };
+};
+
+module.exports = { addMessage, messageBodyError };
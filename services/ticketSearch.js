@@ -0,0 +1,163 @@
+// services/ticketSearch.js
+const mongoose = require('mongoose');
+const SupportRequest = require('../models/SupportRequest');
+const { canReadAnyTicket } = require('../utils/ticketAccess');
+const { parseSort, cursorFilter } = require('../utils/cursor');
+const { normalizeTag } = require('../utils/tags');
+
+const SORT_FIELDS = {
+  createdAt: 'createdAt',
+  updatedAt: 'updatedAt',
+  priority: 'priorityRank',
+  status: 'status',
+  subject: 'subject'
+};
+const DEFAULT_SORT = '-createdAt';
+const MAX_LIMIT = 100;
+const MAX_SEARCH_LENGTH = 200;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+const enumValues = (path) => SupportRequest.schema.path(path).enumValues;
+
+// "pending,in-progress" → { $in: [...] }, every value checked against the enum
+const parseEnumList = (name, value, allowed) => {
+  const values = String(value).split(',').map(part => part.trim()).filter(Boolean);
+  if (values.length === 0 || values.some(item => !allowed.includes(item))) {
+    throw badRequest(`${name} must be a comma-separated list of: ${allowed.join(', ')}`);
+  }
+  return values.length === 1 ? values[0] : { $in: values };
+};
+
+// An ObjectId, or "none" for tickets where the field is empty
+const parseIdOrNone = (name, value) => {
+  if (value === 'none') {
+    return null;
+  }
+  if (!mongoose.isValidObjectId(value)) {
+    throw badRequest(`Invalid ${name} id`);
+  }
+  return value;
+};
+
+const parseDateRange = (name, from, to) => {
+  const range = {};
+  if (from) {
+    range.$gte = new Date(from);
+  }
+  if (to) {
+    range.$lte = new Date(to);
+  }
+  if (Object.values(range).some(date => isNaN(date.getTime()))) {
+    throw badRequest(`${name} range must use valid dates`);
+  }
+  return range;
+};
+
+// Turn the ticket list query string into { filter, sort, limit }.
+// Non-staff (and `ownOnly` searches) only see the user's own tickets; staff-only filters
+// are ignored for them. Throws errors with status 400 for invalid input.
+const buildTicketSearch = (params, user, { ownOnly = false } = {}) => {
+  const {
+    q, status, priority, sla, category, tags, view, assignee, queue, userId, hasAttachments,
+    createdFrom, createdTo, updatedFrom, updatedTo, sort, cursor
+  } = params;
+  const conditions = [];
+  // $text has to sit at the top level of the filter, not inside $and
+  let textSearch = {};
+
+  if (q !== undefined && q !== '') {
+    const search = String(q).trim();
+    if (!search || search.length > MAX_SEARCH_LENGTH) {
+      throw badRequest(`q must be between 1 and ${MAX_SEARCH_LENGTH} characters`);
+    }
+    // The text index splits addresses into words, so exact emails use the email index instead
+    if (EMAIL_PATTERN.test(search)) {
+      conditions.push({ email: search.toLowerCase() });
+    } else {
+      textSearch = { $text: { $search: search } };
+    }
+  }
+
+  if (status) {
+    conditions.push({ status: parseEnumList('status', status, enumValues('status')) });
+  }
+  if (priority) {
+    conditions.push({ priority: parseEnumList('priority', priority, enumValues('priority')) });
+  }
+  if (sla) {
+    conditions.push({ 'sla.state': parseEnumList('sla', sla, enumValues('sla.state')) });
+  }
+
+  if (category) {
+    conditions.push({ category: parseIdOrNone('category', category) });
+  }
+  // "billing,refund" matches tickets carrying every listed tag
+  if (tags) {
+    const list = [...new Set(String(tags).split(',').map(normalizeTag).filter(Boolean))];
+    if (list.length === 0) {
+      throw badRequest('tags must be a comma-separated list of tags');
+    }
+    conditions.push({ tags: { $all: list } });
+  }
+
+  if (hasAttachments !== undefined) {
+    if (!['true', 'false'].includes(hasAttachments)) {
+      throw badRequest('hasAttachments must be true or false');
+    }
+    conditions.push({ 'attachments.0': { $exists: hasAttachments === 'true' } });
+  }
+
+  if (createdFrom || createdTo) {
+    conditions.push({ createdAt: parseDateRange('created', createdFrom, createdTo) });
+  }
+  if (updatedFrom || updatedTo) {
+    conditions.push({ updatedAt: parseDateRange('updated', updatedFrom, updatedTo) });
+  }
+
+  if (ownOnly || !canReadAnyTicket(user)) {
+    conditions.push({ userId: user.id });
+  } else {
+    // Agent views: "mine" (assigned to me) and "unassigned"
+    if (view === 'mine') {
+      conditions.push({ assignee: user.id });
+    } else if (view === 'unassigned') {
+      conditions.push({ assignee: null });
+    } else if (view) {
+      throw badRequest('view must be "mine" or "unassigned"');
+    }
+
+    for (const [field, value] of [['assignee', assignee], ['queue', queue], ['userId', userId]]) {
+      if (value) {
+        conditions.push({ [field]: parseIdOrNone(field, value) });
+      }
+    }
+  }
+
+  const limit = params.limit === undefined ? 10 : parseInt(params.limit, 10);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw badRequest(`limit must be between 1 and ${MAX_LIMIT}`);
+  }
+
+  const sortSpec = parseSort(sort, SORT_FIELDS, DEFAULT_SORT);
+  // Count without the cursor so the total covers every page
+  const toFilter = (clauses) => (clauses.length > 0 ? { ...textSearch, $and: clauses } : { ...textSearch });
+  const countFilter = toFilter([...conditions]);
+  if (cursor) {
+    conditions.push(cursorFilter(cursor, sortSpec));
+  }
+
+  return {
+    filter: toFilter(conditions),
+    countFilter,
+    sortSpec,
+    limit
+  };
+};
+
+module.exports = { buildTicketSearch, SORT_FIELDS };
@@ -0,0 +1,200 @@
+// services/ticketService.js
+const mongoose = require('mongoose');
+const Queue = require('../models/Queue');
+const Category = require('../models/Category');
+const User = require('../models/User');
+const TicketMessage = require('../models/TicketMessage');
+const { isAssignable } = require('./assignmentService');
+const { recordAudit } = require('./auditService');
+const { applySla, evaluateSla } = require('./slaService');
+const { changeTicket } = require('./ticketWorkflowService');
+const { removeAttachments } = require('./attachmentService');
+const { publish } = require('./eventBus');
+const { MAX_TAGS, parseTags } = require('../utils/tags');
+
+// Staff changes to a single ticket, shared by the per-ticket and bulk endpoints.
+// Validation problems are thrown as errors with a `status` (and sometimes a `code`).
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+// Status/priority change through the workflow; saves, audits and publishes.
+// Returns the workflow's changes ({} when nothing changed).
+const updateTicket = async (supportRequest, { status, priority, resolutionNote, note }, req) => {
+  const before = { status: supportRequest.status, priority: supportRequest.priority };
+  const changes = changeTicket(supportRequest, { status, priority, resolutionNote, note }, { user: req.user });
+
+  // New targets for the new priority; otherwise just refresh the state
+  if (changes.priority) {
+    await applySla(supportRequest);
+  } else {
+    evaluateSla(supportRequest);
+  }
+  await supportRequest.save();
+
+  await recordAudit(req, {
+    action: 'ticket.updated',
+    target: { type: 'ticket', id: supportRequest._id },
+    before,
+    after: { status: supportRequest.status, priority: supportRequest.priority },
+    metadata: note || resolutionNote ? { note: note || resolutionNote } : undefined
+  });
+
+  if (changes.status) {
+    publish('ticket.status_changed', { supportRequest, ...changes.status });
+  }
+  if (changes.status || changes.priority) {
+    publish('ticket.updated', { supportRequest, changes });
+  }
+  return changes;
+};
+
+// Look up the queue and agent for an assignment once, so bulk updates don't repeat it.
+// undefined leaves the field alone, null clears it.
+const resolveAssignment = async ({ assigneeId, queueId }) => {
+  const resolved = {};
+
+  if (queueId !== undefined) {
+    const queue = queueId && mongoose.isValidObjectId(queueId) ? await Queue.findById(queueId) : null;
+    if (queueId && !queue) {
+      throw badRequest('Queue not found');
+    }
+    resolved.queue = queue;
+  }
+
+  if (assigneeId !== undefined) {
+    const assignee = assigneeId && mongoose.isValidObjectId(assigneeId) ? await User.findById(assigneeId) : null;
+    if (assigneeId && !isAssignable(assignee)) {
+      throw badRequest('Tickets can only be assigned to active staff members');
+    }
+    resolved.assignee = assignee;
+  }
+
+  return resolved;
+};
+
+// Apply a resolved assignment; saves, audits and publishes
+const assignTicket = async (supportRequest, { assignee, queue }, req) => {
+  const before = { assignee: supportRequest.assignee, queue: supportRequest.queue };
+
+  if (queue !== undefined) {
+    supportRequest.queue = queue ? queue._id : null;
+  }
+  if (assignee !== undefined) {
+    supportRequest.assignee = assignee ? assignee._id : null;
+    supportRequest.assignedAt = assignee ? new Date() : null;
+  }
+
+  await supportRequest.save();
+  await recordAudit(req, {
+    action: 'ticket.assigned',
+    target: { type: 'ticket', id: supportRequest._id },
+    before,
+    after: { assignee: supportRequest.assignee, queue: supportRequest.queue }
+  });
+  publish('ticket.updated', {
+    supportRequest,
+    changes: {
+      assignee: { from: before.assignee, to: supportRequest.assignee },
+      queue: { from: before.queue, to: supportRequest.queue }
+    }
+  });
+};
+
+// Validate a category/tags change once for one or many tickets. `tags` replaces the list;
+// `addTags`/`removeTags` edit it. undefined leaves the field alone, a null categoryId clears it.
+const resolveClassification = async ({ categoryId, tags, addTags, removeTags }) => {
+  const resolved = {};
+
+  if (categoryId !== undefined) {
+    const category = categoryId && mongoose.isValidObjectId(categoryId)
+      ? await Category.findOne({ _id: categoryId, active: true })
+      : null;
+    if (categoryId && !category) {
+      throw badRequest('Category not found');
+    }
+    resolved.category = category;
+  }
+
+  if (tags !== undefined && (addTags !== undefined || removeTags !== undefined)) {
+    throw badRequest('Send either tags or addTags/removeTags');
+  }
+  for (const [name, value] of [['tags', tags], ['addTags', addTags], ['removeTags', removeTags]]) {
+    if (value !== undefined) {
+      const { tags: parsed, error } = parseTags(value, name);
+      if (error) {
+        throw badRequest(error);
+      }
+      resolved[name] = parsed;
+    }
+  }
+
+  return resolved;
+};
+
+// Apply a resolved classification; saves, audits and publishes
+const classifyTicket = async (supportRequest, { category, tags, addTags, removeTags }, req) => {
+  const before = { category: supportRequest.category, tags: [...supportRequest.tags] };
+
+  let nextTags = tags || before.tags;
+  if (addTags) {
+    nextTags = [...new Set([...nextTags, ...addTags])];
+  }
+  if (removeTags) {
+    nextTags = nextTags.filter(tag => !removeTags.includes(tag));
+  }
+  if (nextTags.length > MAX_TAGS) {
+    throw badRequest(`A ticket can have at most ${MAX_TAGS} tags`);
+  }
+
+  if (category !== undefined) {
+    supportRequest.category = category ? category._id : null;
+  }
+  supportRequest.tags = nextTags;
+
+  await supportRequest.save();
+  await recordAudit(req, {
+    action: 'ticket.classified',
+    target: { type: 'ticket', id: supportRequest._id },
+    before,
+    after: { category: supportRequest.category, tags: supportRequest.tags }
+  });
+  publish('ticket.updated', {
+    supportRequest,
+    changes: {
+      category: { from: before.category, to: supportRequest.category },
+      tags: { from: before.tags, to: [...supportRequest.tags] }
+    }
+  });
+};
+
+// Delete a ticket with its thread and every stored file
+const deleteTicket = async (supportRequest, req) => {
+  const messages = await TicketMessage.find({ ticketId: supportRequest._id });
+  await removeAttachments([
+    ...supportRequest.attachments,
+    ...messages.flatMap(message => message.attachments)
+  ]);
+  await TicketMessage.deleteMany({ ticketId: supportRequest._id });
+
+  await supportRequest.deleteOne();
+  await recordAudit(req, {
+    action: 'ticket.deleted',
+    target: { type: 'ticket', id: supportRequest._id },
+    before: supportRequest,
+    after: {}
+  });
+  publish('ticket.deleted', { supportRequest });
+};
+
+module.exports = {
+  updateTicket,
+  resolveAssignment,
+  assignTicket,
+  resolveClassification,
+  classifyTicket,
+  deleteTicket
+};
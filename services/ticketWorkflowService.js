@@ -0,0 +1,106 @@
+// services/ticketWorkflowService.js
+const SupportRequest = require('../models/SupportRequest');
+const { TRANSITIONS } = require('../config/ticketWorkflow');
+const { can } = require('../config/permissions');
+const { trackResolution } = require('./slaService');
+
+const workflowError = (status, message, code) => {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+};
+
+// `actor` is { user } for staff, or { requester: true, userId, name } for the ticket's requester
+const isAllowed = (transition, actor) => {
+  return Boolean(
+    (transition.permission && actor.user && can(actor.user, transition.permission)) ||
+    (transition.requester && actor.requester)
+  );
+};
+
+// Statuses the actor can move the ticket to from where it is now, with the fields each needs
+const availableTransitions = (supportRequest, actor) => {
+  return TRANSITIONS
+    .filter(transition => transition.from === supportRequest.status && isAllowed(transition, actor))
+    .map(transition => ({ to: transition.to, requires: Object.keys(transition.requires || {}) }));
+};
+
+// Append a change to the ticket's timeline; the caller saves the ticket
+const addTimelineEntry = (supportRequest, { field, from, to, actor, note, source }) => {
+  supportRequest.timeline.push({
+    field,
+    from,
+    to,
+    source: source || (actor && actor.requester ? 'requester' : 'staff'),
+    actor: actor ? {
+      userId: actor.user ? actor.user.id : actor.userId,
+      name: actor.user ? actor.user.name : actor.name
+    } : undefined,
+    note,
+    at: new Date()
+  });
+};
+
+// Apply a status and/or priority change through the workflow. Mutates the ticket (the caller
+// saves it) and returns { status, priority } with { from, to } for whatever changed.
+// Throws errors with status 400 (bad input), 403 (not allowed) or 409 (no such transition).
+const changeTicket = (supportRequest, { status, priority, resolutionNote, note }, actor) => {
+  const changes = {};
+  const fields = { resolutionNote, note };
+
+  const notString = Object.keys(fields).find(field => fields[field] !== undefined && fields[field] !== null &&
+    typeof fields[field] !== 'string');
+  if (notString) {
+    throw workflowError(400, `${notString} must be a string`);
+  }
+
+  if (priority !== undefined && priority !== supportRequest.priority) {
+    const priorities = SupportRequest.schema.path('priority').enumValues;
+    if (!priorities.includes(priority)) {
+      throw workflowError(400, `priority must be one of: ${priorities.join(', ')}`);
+    }
+    if (!actor.user || !can(actor.user, 'ticket:update')) {
+      throw workflowError(403, 'You do not have permission to change the priority');
+    }
+    changes.priority = { from: supportRequest.priority, to: priority };
+  }
+
+  if (status !== undefined && status !== supportRequest.status) {
+    const transition = TRANSITIONS.find(item => item.from === supportRequest.status && item.to === status);
+    if (!transition) {
+      throw workflowError(409, `A ${supportRequest.status} ticket cannot be moved to ${status}`, 'INVALID_TRANSITION');
+    }
+    if (!isAllowed(transition, actor)) {
+      throw workflowError(403, `You do not have permission to move a ${supportRequest.status} ticket to ${status}`);
+    }
+    const missing = Object.keys(transition.requires || {}).find(field => !fields[field] || !String(fields[field]).trim());
+    if (missing) {
+      throw workflowError(400, transition.requires[missing], 'FIELD_REQUIRED');
+    }
+    changes.status = { from: supportRequest.status, to: status };
+  }
+
+  if (changes.priority) {
+    supportRequest.priority = priority;
+    addTimelineEntry(supportRequest, { field: 'priority', ...changes.priority, actor, note });
+  }
+
+  if (changes.status) {
+    supportRequest.status = status;
+    trackResolution(supportRequest, changes.status.from);
+    if (status === 'resolved') {
+      supportRequest.resolutionNote = resolutionNote.trim();
+    }
+    addTimelineEntry(supportRequest, {
+      field: 'status',
+      ...changes.status,
+      actor,
+      note: status === 'resolved' ? supportRequest.resolutionNote : note
+    });
+  }
+
+  return changes;
+};
+
+module.exports = { availableTransitions, addTimelineEntry, changeTicket };
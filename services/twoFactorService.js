@@ -0,0 +1,90 @@
+// services/twoFactorService.js
+const jwt = require('jsonwebtoken');
+const Setting = require('../models/Setting');
+const { verifyCode } = require('../utils/totp');
+const { randomToken, hashToken } = require('../utils/tokens');
+
+const POLICY_KEY = 'twoFactor.requiredRoles';
+const CHALLENGE_EXPIRES_IN = '5m';
+const RECOVERY_CODE_COUNT = 10;
+
+// Roles that must enrol in 2FA; TWO_FACTOR_REQUIRED_ROLES seeds the default until an admin changes it
+const defaultRequiredRoles = () => {
+  return (process.env.TWO_FACTOR_REQUIRED_ROLES || '')
+    .split(',')
+    .map(role => role.trim())
+    .filter(Boolean);
+};
+
+const getRequiredRoles = () => Setting.getValue(POLICY_KEY, defaultRequiredRoles());
+
+const setRequiredRoles = (roles, updatedBy) => Setting.setValue(POLICY_KEY, roles, updatedBy);
+
+const isRequiredForRole = async (role) => {
+  const roles = await getRequiredRoles();
+  return roles.includes(role);
+};
+
+// Short-lived token proving the password step succeeded; it is not accepted by `protect`
+const createChallengeToken = (userId) => {
+  return jwt.sign({ id: userId, purpose: '2fa' }, process.env.JWT_SECRET, {
+    expiresIn: CHALLENGE_EXPIRES_IN
+  });
+};
+
+const verifyChallengeToken = (challengeToken) => {
+  try {
+    const decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    return decoded.purpose === '2fa' ? decoded.id : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Returns the plain codes (shown once) and their hashes (stored)
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = randomToken(5);
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashToken) };
+};
+
+// Check a TOTP code or a recovery code for a user with 2FA enabled. Mutates the user
+// (consumes recovery codes, remembers the used step); the caller saves it.
+const verifySecondFactor = (user, { code, recoveryCode }) => {
+  if (!user.twoFactor || !user.twoFactor.enabled) {
+    return false;
+  }
+
+  if (code) {
+    const step = verifyCode(user.twoFactor.secret, code);
+    if (step === null || (user.twoFactor.lastUsedStep && step <= user.twoFactor.lastUsedStep)) {
+      return false;
+    }
+    user.twoFactor.lastUsedStep = step;
+    return true;
+  }
+
+  if (recoveryCode) {
+    const hash = hashToken(String(recoveryCode).trim().toLowerCase());
+    const index = user.twoFactor.recoveryCodeHashes.indexOf(hash);
+    if (index === -1) {
+      return false;
+    }
+    user.twoFactor.recoveryCodeHashes.splice(index, 1);
+    return true;
+  }
+
+  return false;
+};
+
+module.exports = {
+  getRequiredRoles,
+  setRequiredRoles,
+  isRequiredForRole,
+  createChallengeToken,
+  verifyChallengeToken,
+  generateRecoveryCodes,
+  verifySecondFactor
+};
@@ -0,0 +1,119 @@
+// services/uploadInspection.js
+const path = require('path');
+const sharp = require('sharp');
+const QuarantinedFile = require('../models/QuarantinedFile');
+const { getScanner } = require('./scanner');
+const { getDriver } = require('./storage');
+const { recordAudit } = require('./auditService');
+const { detectMimeType } = require('../utils/fileType');
+const { randomToken } = require('../utils/tokens');
+
+// Accepted extensions and the content type each one must actually contain
+const ALLOWED_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.pdf': 'application/pdf',
+  '.doc': 'application/msword',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.txt': 'text/plain'
+};
+
+const THUMBNAIL_SIZE = parseInt(process.env.THUMBNAIL_SIZE, 10) || 320;
+
+const uploadError = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+const expectedType = (file) => ALLOWED_TYPES[path.extname(file.originalname).toLowerCase()];
+
+// Cheap early check on what the client claims (multer fileFilter); content is checked later
+const isAllowedUpload = (file) => {
+  const expected = expectedType(file);
+  return Boolean(expected) && [expected, 'application/octet-stream'].includes(file.mimetype);
+};
+
+// Keep the bytes out of the ticket, but out of reach of the ticket UI too
+const quarantine = async (file, result, scanner, req) => {
+  const driver = getDriver();
+  const key = `quarantine/${Date.now()}-${randomToken(8)}${path.extname(file.originalname).toLowerCase()}`;
+  await driver.put(key, file.buffer, { contentType: 'application/octet-stream' });
+
+  const record = await QuarantinedFile.create({
+    filename: file.originalname,
+    key,
+    storage: driver.name,
+    mimetype: file.mimetype,
+    size: file.size,
+    scanner: scanner.name,
+    signature: result.signature,
+    uploadedBy: req && req.user ? req.user.id : undefined,
+    ip: req ? req.ip : undefined,
+    route: req ? `${req.method} ${req.originalUrl}` : 'inbound-mail-directory'
+  });
+
+  await recordAudit(req, {
+    action: 'attachment.quarantined',
+    target: { type: 'quarantined-file', id: record._id },
+    metadata: { filename: file.originalname, signature: result.signature, scanner: scanner.name }
+  });
+};
+
+// Re-encode images so EXIF (GPS position, camera serials, ...) never reaches storage,
+// and make a small preview. EXIF orientation is applied before it is dropped.
+const processImage = async (file) => {
+  if (file.mimetype !== 'image/gif') {
+    const image = sharp(file.buffer).rotate();
+    file.buffer = await (file.mimetype === 'image/png' ? image.png() : image.jpeg({ quality: 90 })).toBuffer();
+    file.size = file.buffer.length;
+  }
+
+  const { data, info } = await sharp(file.buffer)
+    .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+    .webp({ quality: 80 })
+    .toBuffer({ resolveWithObject: true });
+  file.thumbnail = { buffer: data, mimetype: 'image/webp', width: info.width, height: info.height };
+};
+
+// Check, scan and clean files received by multer, in place. Sets file.mimetype to the
+// sniffed type and file.thumbnail for images. Throws a 400 error for the first bad file.
+// `req` is null for background jobs such as the inbound mail directory.
+const inspectUploads = async (files, req) => {
+  const scanner = getScanner();
+
+  for (const file of files) {
+    const expected = expectedType(file);
+    if (!expected || detectMimeType(file.buffer) !== expected) {
+      throw uploadError(`${file.originalname}: the file content does not match its type`);
+    }
+    file.mimetype = expected;
+
+    let result;
+    try {
+      result = await scanner.scan(file.buffer, { filename: file.originalname });
+    } catch (error) {
+      console.error('Malware scan error:', error);
+      const unavailable = new Error('Attachments cannot be checked right now, please try again later');
+      unavailable.status = 503;
+      throw unavailable;
+    }
+
+    if (!result.clean) {
+      await quarantine(file, result, scanner, req);
+      throw uploadError(`${file.originalname} was rejected by the malware scan`);
+    }
+
+    if (file.mimetype.startsWith('image/')) {
+      try {
+        await processImage(file);
+      } catch (error) {
+        throw uploadError(`${file.originalname}: the image could not be read`);
+      }
+    }
+  }
+};
+
+module.exports = { ALLOWED_TYPES, isAllowedUpload, inspectUploads };
@@ -0,0 +1,64 @@
+// services/webhooks/index.js
+const crypto = require('crypto');
+const Webhook = require('../../models/Webhook');
+const WebhookDelivery = require('../../models/WebhookDelivery');
+const { subscribe } = require('../eventBus');
+
+// Only fields that are safe to hand to another system; never the password hash or 2FA secrets
+const formatUser = (user) => ({
+  id: user._id,
+  name: user.name,
+  email: user.email,
+  role: user.role,
+  authProvider: user.authProvider,
+  emailVerified: user.emailVerified,
+  createdAt: user.createdAt
+});
+
+const formatTicket = (supportRequest) => supportRequest.toObject({ depopulate: true });
+
+// Queue one delivery per active webhook subscribed to the event
+const enqueueWebhookEvent = async (event, data) => {
+  const webhooks = await Webhook.find({ events: event, active: true });
+  if (webhooks.length === 0) {
+    return [];
+  }
+
+  const payload = {
+    id: crypto.randomUUID(),
+    event,
+    createdAt: new Date().toISOString(),
+    data
+  };
+
+  return WebhookDelivery.insertMany(webhooks.map(webhook => ({
+    webhookId: webhook._id,
+    event,
+    payload
+  })));
+};
+
+// Send an earlier payload again as a new delivery (the original keeps its log)
+const redeliver = (delivery, userId) => WebhookDelivery.create({
+  webhookId: delivery.webhookId,
+  event: delivery.event,
+  payload: delivery.payload,
+  redeliveryOf: delivery._id,
+  requestedBy: userId
+});
+
+const registerWebhookHandlers = () => {
+  subscribe('ticket.created', ({ supportRequest }) =>
+    enqueueWebhookEvent('ticket.created', { ticket: formatTicket(supportRequest) }));
+
+  subscribe('ticket.updated', ({ supportRequest, changes }) =>
+    enqueueWebhookEvent('ticket.updated', { ticket: formatTicket(supportRequest), changes }));
+
+  subscribe('ticket.deleted', ({ supportRequest }) =>
+    enqueueWebhookEvent('ticket.deleted', { ticket: formatTicket(supportRequest) }));
+
+  subscribe('user.created', ({ user }) =>
+    enqueueWebhookEvent('user.created', { user: formatUser(user) }));
+};
+
+module.exports = { enqueueWebhookEvent, redeliver, registerWebhookHandlers };
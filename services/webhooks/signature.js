@@ -0,0 +1,13 @@
+// services/webhooks/signature.js
+const crypto = require('crypto');
+
+// Sent as X-Webhook-Signature: "t=<unix seconds>,v1=<hex HMAC-SHA256 of `${t}.${body}`>".
+// Receivers recompute the HMAC over the raw body and reject old timestamps to stop replays.
+const signPayload = (secret, body, timestamp = Math.floor(Date.now() / 1000)) => {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${digest}`;
+};
+
+const generateWebhookSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+module.exports = { signPayload, generateWebhookSecret };
@@ -0,0 +1,93 @@
+// services/webhooks/urlGuard.js
+const dns = require('dns');
+const net = require('net');
+const { allowPrivateUrls } = require('../../config/webhooks');
+
+// Webhooks must not be a way to reach our own network (cloud metadata, localhost, internal hosts)
+// (separate lists: a BlockList matches IPv4 addresses against IPv4-mapped IPv6 rules too)
+const blockedIpv4 = new net.BlockList();
+const blockedIpv6 = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+  ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([network, prefix]) => blockedIpv4.addSubnet(network, prefix, 'ipv4'));
+[
+  // Unspecified and loopback, IPv4-mapped and NAT64 (both reach IPv4 hosts), unique local,
+  // link-local and multicast
+  ['::', 127], ['::ffff:0:0', 96], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => blockedIpv6.addSubnet(network, prefix, 'ipv6'));
+
+const isPublicAddress = (address) => {
+  const family = net.isIP(address);
+  if (family === 4) {
+    return !blockedIpv4.check(address, 'ipv4');
+  }
+  return family === 6 && !blockedIpv6.check(address, 'ipv6');
+};
+
+const blockedError = (host) => {
+  const error = new Error(`${host} resolves to a private or local address`);
+  error.code = 'WEBHOOK_ADDRESS_BLOCKED';
+  return error;
+};
+
+// Drop-in for dns.lookup that refuses private addresses. Passed to http.request, it checks
+// the address actually connected to, so a DNS answer that changes after validation (rebinding)
+// is still caught.
+const guardedLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error || allowPrivateUrls) {
+      return callback(error, address, family);
+    }
+    const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+    if (addresses.some(item => !isPublicAddress(item))) {
+      return callback(blockedError(hostname));
+    }
+    callback(null, address, family);
+  });
+};
+
+// URL hostname without the brackets around IPv6 literals
+const hostOf = (url) => url.hostname.replace(/^\[(.*)\]$/, '$1');
+
+// Why a webhook URL can't be used, or null if it can: http(s) only, no credentials,
+// and every address the host resolves to must be public
+const webhookUrlError = async (value) => {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    return 'url must be an http(s) URL';
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    return 'url must be an http(s) URL';
+  }
+  if (url.username || url.password) {
+    return 'url must not contain credentials';
+  }
+  if (allowPrivateUrls) {
+    return null;
+  }
+
+  const host = hostOf(url);
+  try {
+    const addresses = net.isIP(host) ? [{ address: host }] : await dns.promises.lookup(host, { all: true });
+    if (addresses.length === 0 || addresses.some(entry => !isPublicAddress(entry.address))) {
+      return 'url must point to a public host, not a private, loopback or link-local address';
+    }
+  } catch (error) {
+    return `Could not resolve ${host}`;
+  }
+  return null;
+};
+
+// Literal IP hosts skip the lookup hook, so the sender checks them itself
+const assertPublicHost = (url) => {
+  const host = hostOf(url);
+  if (!allowPrivateUrls && net.isIP(host) && !isPublicAddress(host)) {
+    throw blockedError(host);
+  }
+};
+
+module.exports = { isPublicAddress, guardedLookup, webhookUrlError, assertPublicHost };
@@ -0,0 +1,161 @@
+// services/webhooks/worker.js
+const http = require('http');
+const https = require('https');
+const mongoose = require('mongoose');
+const Webhook = require('../../models/Webhook');
+const WebhookDelivery = require('../../models/WebhookDelivery');
+const { signPayload } = require('./signature');
+const { guardedLookup, assertPublicHost } = require('./urlGuard');
+const { pollIntervalMs, maxAttempts, retryBaseMs, timeoutMs } = require('../../config/webhooks');
+
+// A delivery stuck in "sending" this long belonged to a worker that died mid-request
+const STALE_LOCK_MS = 10 * 60 * 1000;
+const BATCH_SIZE = 20;
+// Longest response body excerpt kept per successful attempt
+const MAX_RESPONSE_BODY = 1000;
+
+let timer = null;
+let running = false;
+
+// Atomically take the next due delivery so several instances never send it twice at once
+const claimNextDelivery = () => {
+  const now = new Date();
+  return WebhookDelivery.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'pending', nextAttemptAt: { $lte: now } },
+        { status: 'sending', lockedAt: { $lte: new Date(now.getTime() - STALE_LOCK_MS) } }
+      ]
+    },
+    { status: 'sending', lockedAt: now, $inc: { attempts: 1 } },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  );
+};
+
+// POST over http(s) with the private-address guard on the connection itself. Redirects are
+// not followed: one could point the signed payload somewhere the admin never configured.
+// Resolves to { status, body } with at most MAX_RESPONSE_BODY characters of the body.
+const post = (url, headers, body) => new Promise((resolve, reject) => {
+  const target = new URL(url);
+  assertPublicHost(target);
+
+  const request = (target.protocol === 'https:' ? https : http).request(target, {
+    method: 'POST',
+    headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+    lookup: guardedLookup,
+    signal: AbortSignal.timeout(timeoutMs)
+  }, (response) => {
+    let text = '';
+    response.setEncoding('utf8');
+    response.on('data', (chunk) => {
+      if (text.length < MAX_RESPONSE_BODY) {
+        text += chunk;
+      }
+    });
+    response.on('end', () => resolve({ status: response.statusCode, body: text.slice(0, MAX_RESPONSE_BODY) }));
+    response.on('error', reject);
+  });
+
+  request.on('error', reject);
+  request.end(body);
+});
+
+// POST the signed payload; resolves to the attempt's log entry
+const send = async (webhook, delivery) => {
+  const body = JSON.stringify(delivery.payload);
+  const startedAt = Date.now();
+  const attempt = { at: new Date(startedAt) };
+
+  try {
+    const response = await post(webhook.url, {
+      'Content-Type': 'application/json',
+      'User-Agent': 'Record-Webhooks/1.0',
+      'X-Webhook-Id': String(delivery._id),
+      'X-Webhook-Event': delivery.event,
+      'X-Webhook-Signature': signPayload(webhook.secret, body)
+    }, body);
+    attempt.responseStatus = response.status;
+    if (response.status >= 200 && response.status < 300) {
+      attempt.responseBody = response.body;
+    } else {
+      // Error pages aren't kept: they are where another host's content would show up
+      attempt.error = `Receiver responded with ${response.status}`;
+    }
+  } catch (error) {
+    attempt.error = error.name === 'AbortError' || error.name === 'TimeoutError'
+      ? `No response within ${timeoutMs}ms`
+      : error.message;
+  }
+
+  attempt.durationMs = Date.now() - startedAt;
+  return attempt;
+};
+
+const deliver = async (delivery) => {
+  const webhook = await Webhook.findById(delivery.webhookId).select('+secret');
+
+  const attempt = webhook && webhook.active
+    ? await send(webhook, delivery)
+    : { at: new Date(), error: webhook ? 'Webhook is disabled' : 'Webhook was deleted' };
+  delivery.log.push(attempt);
+
+  if (!attempt.error) {
+    delivery.status = 'succeeded';
+    delivery.deliveredAt = attempt.at;
+    delivery.lastError = undefined;
+  } else if (!webhook || !webhook.active || delivery.attempts >= maxAttempts) {
+    delivery.status = 'failed';
+    delivery.lastError = attempt.error;
+    console.error(`❌ Webhook delivery ${delivery._id} (${delivery.event}) failed permanently:`, attempt.error);
+  } else {
+    // Exponential backoff: 1x, 2x, 4x ... the base delay
+    delivery.status = 'pending';
+    delivery.lastError = attempt.error;
+    delivery.nextAttemptAt = new Date(Date.now() + retryBaseMs * 2 ** (delivery.attempts - 1));
+  }
+  delivery.lockedAt = undefined;
+  await delivery.save();
+};
+
+// Attempt up to one batch of due deliveries; returns how many were attempted
+const processWebhookQueue = async () => {
+  let count = 0;
+  while (count < BATCH_SIZE) {
+    const delivery = await claimNextDelivery();
+    if (!delivery) {
+      break;
+    }
+    await deliver(delivery);
+    count++;
+  }
+  return count;
+};
+
+const tick = async () => {
+  if (running || mongoose.connection.readyState !== 1) {
+    return;
+  }
+  running = true;
+  try {
+    await processWebhookQueue();
+  } catch (error) {
+    console.error('❌ Webhook worker error:', error);
+  } finally {
+    running = false;
+  }
+};
+
+const startWebhookWorker = () => {
+  if (timer || !pollIntervalMs) {
+    return;
+  }
+  timer = setInterval(tick, pollIntervalMs);
+  timer.unref();
+};
+
+const stopWebhookWorker = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = { processWebhookQueue, startWebhookWorker, stopWebhookWorker };
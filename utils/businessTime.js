@@ -0,0 +1,152 @@
+// utils/businessTime.js
+// Business-hours arithmetic in a given IANA timezone, without a date library.
+//
+// A calendar looks like:
+//   {
+//     timezone: 'Europe/London',
+//     workingHours: { mon: { start: '09:00', end: '17:00' }, ... },  // missing day = closed
+//     holidays: ['2026-12-25']                                         // local dates
+//   }
+
+const DAY_KEYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const MINUTE = 60 * 1000;
+// Give up rather than loop forever on a calendar with no working hours
+const MAX_DAYS_SCANNED = 366 * 2;
+
+// Wall-clock parts of an instant in a timezone
+const zonedParts = (date, timezone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date);
+
+  const value = (type) => parseInt(parts.find(part => part.type === type).value, 10);
+  return {
+    year: value('year'),
+    month: value('month'),
+    day: value('day'),
+    hour: value('hour'),
+    minute: value('minute'),
+    second: value('second')
+  };
+};
+
+// Offset of the timezone from UTC at an instant, in ms
+const timezoneOffset = (date, timezone) => {
+  const p = zonedParts(date, timezone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+// Instant of a local wall-clock time in a timezone (DST-aware)
+const zonedTimeToDate = (year, month, day, hour, minute, timezone) => {
+  const guess = Date.UTC(year, month - 1, day, hour, minute);
+  const first = guess - timezoneOffset(new Date(guess), timezone);
+  const second = guess - timezoneOffset(new Date(first), timezone);
+  return new Date(second);
+};
+
+const parseTime = (hhmm) => {
+  const [hour, minute] = String(hhmm).split(':').map(Number);
+  return { hour, minute: minute || 0 };
+};
+
+const pad = (number) => String(number).padStart(2, '0');
+
+// Open [start, end) interval of the local day containing `date`, or null if closed
+const workingIntervalFor = (date, calendar) => {
+  const timezone = calendar.timezone || 'UTC';
+  const local = zonedParts(date, timezone);
+  const localDate = `${local.year}-${pad(local.month)}-${pad(local.day)}`;
+
+  if ((calendar.holidays || []).includes(localDate)) {
+    return null;
+  }
+
+  const weekday = new Date(Date.UTC(local.year, local.month - 1, local.day)).getUTCDay();
+  const hours = (calendar.workingHours || {})[DAY_KEYS[weekday]];
+  if (!hours || !hours.start || !hours.end) {
+    return null;
+  }
+
+  const start = parseTime(hours.start);
+  const end = parseTime(hours.end);
+  return {
+    start: zonedTimeToDate(local.year, local.month, local.day, start.hour, start.minute, timezone),
+    end: zonedTimeToDate(local.year, local.month, local.day, end.hour, end.minute, timezone)
+  };
+};
+
+// Start of the next local day after `date`
+const nextLocalDay = (date, calendar) => {
+  const timezone = calendar.timezone || 'UTC';
+  const local = zonedParts(date, timezone);
+  // Calendar arithmetic on the local date, so DST days (23h/25h) don't skip or repeat
+  const next = new Date(Date.UTC(local.year, local.month - 1, local.day + 1));
+  return zonedTimeToDate(next.getUTCFullYear(), next.getUTCMonth() + 1, next.getUTCDate(), 0, 0, timezone);
+};
+
+// Add business minutes to a start instant
+const addBusinessMinutes = (start, minutes, calendar) => {
+  let cursor = new Date(start);
+  let remaining = minutes * MINUTE;
+
+  for (let scanned = 0; scanned < MAX_DAYS_SCANNED; scanned++) {
+    const interval = workingIntervalFor(cursor, calendar);
+    if (interval && cursor < interval.end) {
+      const from = cursor > interval.start ? cursor : interval.start;
+      const available = interval.end - from;
+      if (remaining <= available) {
+        return new Date(from.getTime() + remaining);
+      }
+      remaining -= available;
+    }
+    cursor = nextLocalDay(cursor, calendar);
+  }
+
+  throw new Error('Business calendar has no working hours');
+};
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Returns a description of the first problem with a calendar, or null if it is usable
+const validateCalendar = (calendar) => {
+  if (!calendar || typeof calendar !== 'object') {
+    return 'Calendar must be an object';
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: calendar.timezone || 'UTC' });
+  } catch (error) {
+    return `Unknown timezone: ${calendar.timezone}`;
+  }
+
+  const workingHours = calendar.workingHours || {};
+  const days = Object.keys(workingHours);
+  const unknownDay = days.find(day => !DAY_KEYS.includes(day));
+  if (unknownDay) {
+    return `Unknown day "${unknownDay}", use: ${DAY_KEYS.join(', ')}`;
+  }
+  for (const day of days) {
+    const hours = workingHours[day];
+    if (!hours || !TIME_PATTERN.test(hours.start) || !TIME_PATTERN.test(hours.end) || hours.start >= hours.end) {
+      return `Working hours for ${day} must be { start: "HH:MM", end: "HH:MM" } with start before end`;
+    }
+  }
+  if (days.length === 0) {
+    return 'At least one working day is required';
+  }
+
+  if (!Array.isArray(calendar.holidays || []) || (calendar.holidays || []).some(date => !DATE_PATTERN.test(date))) {
+    return 'Holidays must be a list of YYYY-MM-DD dates';
+  }
+  return null;
+};
+
+module.exports = { addBusinessMinutes, zonedParts, validateCalendar };
@@ -0,0 +1,23 @@
+// utils/csv.js
+
+// Cells starting with these are run as formulas by spreadsheet apps
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const escapeCell = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// RFC 4180 text for [{ key, label }] columns and plain-object rows
+const toCsv = (columns, rows) => [
+  columns.map(column => escapeCell(column.label)).join(','),
+  ...rows.map(row => columns.map(column => escapeCell(row[column.key])).join(','))
+].join('\r\n') + '\r\n';
+
+module.exports = { toCsv };
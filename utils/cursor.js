@@ -0,0 +1,92 @@
+// utils/cursor.js
+const mongoose = require('mongoose');
+
+// Parse "-priority,createdAt" into [[field, direction]], always ending with _id as a tiebreaker.
+// `fields` maps public sort names to document paths. Throws a 400 error on unknown fields.
+const parseSort = (value, fields, defaultSort) => {
+  const spec = [];
+  const seen = new Set();
+
+  for (const token of String(value || defaultSort).split(',').map(part => part.trim()).filter(Boolean)) {
+    const name = token.replace(/^[-+]/, '');
+    if (!fields[name] || seen.has(name)) {
+      const error = new Error(`sort must be a comma-separated list of: ${Object.keys(fields).join(', ')} (prefix - for descending)`);
+      error.status = 400;
+      throw error;
+    }
+    seen.add(name);
+    spec.push([fields[name], token.startsWith('-') ? -1 : 1]);
+  }
+
+  spec.push(['_id', spec.length > 0 ? spec[spec.length - 1][1] : -1]);
+  return spec;
+};
+
+const sortObject = (spec) => Object.fromEntries(spec);
+
+const sortKey = (spec) => spec.map(([path, direction]) => `${direction < 0 ? '-' : ''}${path}`).join(',');
+
+const valueAt = (doc, path) => path.split('.').reduce((value, key) => (value == null ? value : value[key]), doc);
+
+// Dates and ObjectIds are tagged so they survive the JSON round trip
+const encodeValue = (value) => {
+  if (value instanceof Date) {
+    return { $date: value.toISOString() };
+  }
+  if (value && value._bsontype === 'ObjectId') {
+    return { $oid: value.toHexString() };
+  }
+  return value === undefined ? null : value;
+};
+
+const decodeValue = (value) => {
+  if (value && typeof value === 'object') {
+    if (typeof value.$date === 'string') {
+      return new Date(value.$date);
+    }
+    if (typeof value.$oid === 'string' && mongoose.isValidObjectId(value.$oid)) {
+      return new mongoose.Types.ObjectId(value.$oid);
+    }
+    throw new Error('Unexpected cursor value');
+  }
+  return value;
+};
+
+// Opaque cursor pointing just after `doc` in the given sort order
+const encodeCursor = (doc, spec) => {
+  const payload = {
+    s: sortKey(spec),
+    v: spec.map(([path]) => encodeValue(valueAt(doc, path)))
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+// Returns a filter matching documents after the cursor; throws a 400 error for
+// malformed cursors or ones issued for a different sort order.
+const cursorFilter = (cursor, spec) => {
+  let values;
+  try {
+    const payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (payload.s !== sortKey(spec) || !Array.isArray(payload.v) || payload.v.length !== spec.length) {
+      throw new Error('Cursor does not match the sort order');
+    }
+    values = payload.v.map(decodeValue);
+  } catch (err) {
+    const error = new Error('Invalid cursor, start again from the first page');
+    error.status = 400;
+    throw error;
+  }
+
+  // (a > x) OR (a = x AND b > y) OR (a = x AND b = y AND _id > z) ...
+  const clauses = spec.map(([path, direction], index) => {
+    const clause = {};
+    spec.slice(0, index).forEach(([equalPath], equalIndex) => {
+      clause[equalPath] = values[equalIndex];
+    });
+    clause[path] = { [direction < 0 ? '$lt' : '$gt']: values[index] };
+    return clause;
+  });
+  return { $or: clauses };
+};
+
+module.exports = { parseSort, sortObject, encodeCursor, cursorFilter };
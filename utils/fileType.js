@@ -0,0 +1,53 @@
+// utils/fileType.js
+// Identify a file from its first bytes instead of trusting the name or the client's mimetype
+
+const startsWith = (buffer, bytes, offset = 0) => {
+  return buffer.length >= offset + bytes.length && bytes.every((byte, index) => buffer[offset + index] === byte);
+};
+
+const ascii = (text) => [...text].map(char => char.charCodeAt(0));
+
+const DOCX = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+// Plain text: no NUL bytes and valid UTF-8 (a BOM is fine)
+const isText = (buffer) => {
+  if (buffer.includes(0)) {
+    return false;
+  }
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Returns the detected mimetype, or null for anything we don't recognise
+const detectMimeType = (buffer) => {
+  if (startsWith(buffer, [0xff, 0xd8, 0xff])) {
+    return 'image/jpeg';
+  }
+  if (startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) {
+    return 'image/png';
+  }
+  if (startsWith(buffer, ascii('GIF87a')) || startsWith(buffer, ascii('GIF89a'))) {
+    return 'image/gif';
+  }
+  if (startsWith(buffer, ascii('%PDF-'))) {
+    return 'application/pdf';
+  }
+  // Legacy Office files are OLE compound documents
+  if (startsWith(buffer, [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1])) {
+    return 'application/msword';
+  }
+  // A .docx is a zip whose entries live under word/; any other zip is rejected
+  if (startsWith(buffer, [0x50, 0x4b, 0x03, 0x04])) {
+    return buffer.includes('[Content_Types].xml') && buffer.includes('word/') ? DOCX : null;
+  }
+  if (buffer.length > 0 && isText(buffer)) {
+    return 'text/plain';
+  }
+  return null;
+};
+
+module.exports = { detectMimeType };
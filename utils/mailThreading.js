@@ -0,0 +1,56 @@
+// utils/mailThreading.js
+// Tie email conversations to tickets: a "[#<ticketId>]" token in the subject, and
+// Message-IDs of the form <ticket-<ticketId>.<random>@domain> on the emails we send
+const { randomToken } = require('./tokens');
+
+const SUBJECT_TOKEN = /\[#([a-f0-9]{24})\]/i;
+const MESSAGE_ID_TOKEN = /<ticket-([a-f0-9]{24})\./i;
+
+const subjectToken = (ticketId) => `[#${ticketId}]`;
+
+const mailDomain = () => {
+  const match = (process.env.MAIL_FROM || '').match(/@([^>\s]+)/);
+  return match ? match[1] : 'record.local';
+};
+
+// Message-ID header for an email about a ticket, so replies can be threaded back
+const ticketMessageId = (ticketId) => `<ticket-${ticketId}.${randomToken(6)}@${mailDomain()}>`;
+
+const ticketIdFromSubject = (subject = '') => {
+  const match = String(subject).match(SUBJECT_TOKEN);
+  return match ? match[1].toLowerCase() : null;
+};
+
+// Looks through In-Reply-To / References values for one of our Message-IDs
+const ticketIdFromReferences = (references = []) => {
+  for (const reference of [].concat(references).filter(Boolean)) {
+    const match = String(reference).match(MESSAGE_ID_TOKEN);
+    if (match) {
+      return match[1].toLowerCase();
+    }
+  }
+  return null;
+};
+
+// Drop the quoted history below a reply ("On ... wrote:" and "> ..." lines)
+const stripQuotedReply = (text = '') => {
+  const lines = String(text).replace(/\r\n/g, '\n').split('\n');
+  const kept = [];
+  for (const line of lines) {
+    if (/^On .+wrote:\s*$/.test(line) || /^-{2,}\s*Original Message\s*-{2,}/i.test(line)) {
+      break;
+    }
+    if (!line.startsWith('>')) {
+      kept.push(line);
+    }
+  }
+  return kept.join('\n').trim();
+};
+
+module.exports = {
+  subjectToken,
+  ticketMessageId,
+  ticketIdFromSubject,
+  ticketIdFromReferences,
+  stripQuotedReply
+};
@@ -0,0 +1,15 @@
+// utils/placeholders.js
+
+const PLACEHOLDER_PATTERN = /{{(\w+)}}/g;
+
+// Replace {{name}} with values.name; missing values become empty strings.
+// Only own keys count, so {{constructor}} and friends never reach the prototype.
+const fillPlaceholders = (template, values) => template.replace(PLACEHOLDER_PATTERN, (match, name) => {
+  const value = Object.hasOwn(values, name) ? values[name] : undefined;
+  return value === undefined || value === null ? '' : String(value);
+});
+
+// Names used in a template, without duplicates
+const listPlaceholders = (template) => [...new Set([...template.matchAll(PLACEHOLDER_PATTERN)].map(match => match[1]))];
+
+module.exports = { fillPlaceholders, listPlaceholders };
@@ -0,0 +1,13 @@
+// utils/query.js
+
+// Escape user input for use inside a RegExp (search boxes)
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Page/limit from the query string, clamped to sane values
+const parsePagination = (query, { defaultLimit = 10, maxLimit = 100 } = {}) => {
+  const page = Math.max(1, parseInt(query.page, 10) || 1);
+  const limit = Math.min(maxLimit, Math.max(1, parseInt(query.limit, 10) || defaultLimit));
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+module.exports = { escapeRegex, parsePagination };
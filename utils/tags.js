@@ -0,0 +1,24 @@
+// utils/tags.js
+
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 30;
+
+// "Billing Issue " → "billing-issue"
+const normalizeTag = (tag) => String(tag).trim().toLowerCase().replace(/\s+/g, '-');
+
+// Validate and normalize a list of tags from a request body; returns { tags } or { error }
+const parseTags = (value, name = 'tags') => {
+  if (!Array.isArray(value) || value.some(tag => typeof tag !== 'string')) {
+    return { error: `${name} must be an array of strings` };
+  }
+  const tags = [...new Set(value.map(normalizeTag).filter(Boolean))];
+  if (tags.some(tag => tag.length > MAX_TAG_LENGTH)) {
+    return { error: `Tags cannot exceed ${MAX_TAG_LENGTH} characters` };
+  }
+  if (tags.length > MAX_TAGS) {
+    return { error: `A ticket can have at most ${MAX_TAGS} tags` };
+  }
+  return { tags };
+};
+
+module.exports = { MAX_TAGS, normalizeTag, parseTags };
@@ -0,0 +1,14 @@
+// utils/ticketAccess.js
+const { can } = require('../config/permissions');
+
+// Staff can read every request; everyone else only the ones they filed
+const canReadAnyTicket = (user) => can(user, 'ticket:read:any');
+
+const isTicketOwner = (user, supportRequest) => {
+  const ownerId = supportRequest.userId && (supportRequest.userId._id || supportRequest.userId);
+  return Boolean(ownerId) && String(ownerId) === String(user.id);
+};
+
+const canReadTicket = (user, supportRequest) => canReadAnyTicket(user) || isTicketOwner(user, supportRequest);
+
+module.exports = { canReadAnyTicket, isTicketOwner, canReadTicket };
@@ -0,0 +1,12 @@
+// utils/tokens.js
+const crypto = require('crypto');
+
+// Random URL-safe token for links and refresh tokens
+const randomToken = (bytes = 32) => crypto.randomBytes(bytes).toString('hex');
+
+// Tokens are stored hashed so a database leak doesn't hand out working links
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+module.exports = { randomToken, hashToken };
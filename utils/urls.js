@@ -0,0 +1,11 @@
+// utils/urls.js
+
+// Build a link into the frontend app (used in emails)
+const clientUrl = (pathname, params = {}) => {
+  const base = process.env.CLIENT_URL || 'http://localhost:3000';
+  const url = new URL(pathname, base);
+  Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+  return url.toString();
+};
+
+module.exports = { clientUrl };